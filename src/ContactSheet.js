@@ -0,0 +1,133 @@
+// SPDX-License-Identifier: MIT
+/**
+ * 🗂️ Contact Sheet
+ *
+ * Tiles decoded RGBA images into a labeled grid, drawing captions with a built-in
+ * 5x7 bitmap font so no native image or font library is needed
+ */
+
+import { resizeImage } from './ImageUtils.js';
+
+// Classic 5x7 LCD font for ASCII 0x20-0x7E: five column bytes per glyph, bit 0 at the top
+const FONT_5X7 = [
+  '0000000000', '00005f0000', '0007000700', '147f147f14', '242a7f2a12', '2313086462',
+  '3649552250', '0005030000', '001c224100', '0041221c00', '082a1c2a08', '08083e0808',
+  '0050300000', '0808080808', '0060600000', '2010080402', '3e5149453e', '00427f4000',
+  '4261514946', '2141454b31', '1814127f10', '2745454539', '3c4a494930', '0171090503',
+  '3649494936', '064949291e', '0036360000', '0056360000', '0814224100', '1414141414',
+  '0041221408', '0201510906', '324979413e', '7e1111117e', '7f49494936', '3e41414122',
+  '7f4141221c', '7f49494941', '7f09090101', '3e41415132', '7f0808087f', '00417f4100',
+  '2040413f01', '7f08142241', '7f40404040', '7f0204027f', '7f0408107f', '3e4141413e',
+  '7f09090906', '3e4151215e', '7f09192946', '4649494931', '01017f0101', '3f4040403f',
+  '1f2040201f', '7f2018207f', '6314081463', '0304780403', '6151494543', '00007f4141',
+  '0204081020', '41417f0000', '0402010204', '4040404040', '0001020400', '2054545478',
+  '7f48444438', '3844444420', '384444487f', '3854545418', '087e090102', '081454543c',
+  '7f08040478', '00447d4000', '2040443d00', '007f102844', '00417f4000', '7c04180478',
+  '7c08040478', '3844444438', '7c14141408', '081414187c', '7c08040408', '4854545420',
+  '043f444020', '3c4040207c', '1c2040201c', '3c4030403c', '4428102844', '0c5050503c',
+  '4464544c44', '0008364100', '00007f0000', '0041360800', '0804081008'
+].map(hex => Buffer.from(hex, 'hex'));
+
+const GLYPH_WIDTH = 6;
+const LINE_HEIGHT = 9;
+
+const BACKGROUND = [32, 32, 32, 255];
+const TEXT_COLOR = [224, 224, 224, 255];
+const EMPTY_TILE = [64, 64, 64, 255];
+
+function fillRect(canvas, left, top, width, height, color) {
+  for (let y = Math.max(0, top); y < Math.min(canvas.height, top + height); y++) {
+    for (let x = Math.max(0, left); x < Math.min(canvas.width, left + width); x++) {
+      canvas.data.set(color, (y * canvas.width + x) * 4);
+    }
+  }
+}
+
+function drawText(canvas, text, left, top, scale) {
+  [...text].forEach((char, index) => {
+    const code = char.charCodeAt(0);
+    const glyph = FONT_5X7[code >= 0x20 && code <= 0x7e ? code - 0x20 : '?'.charCodeAt(0) - 0x20];
+    const glyphLeft = left + index * GLYPH_WIDTH * scale;
+
+    glyph.forEach((column, x) => {
+      for (let y = 0; y < 7; y++) {
+        if (column & (1 << y)) {
+          fillRect(canvas, glyphLeft + x * scale, top + y * scale, scale, scale, TEXT_COLOR);
+        }
+      }
+    });
+  });
+}
+
+function fitLine(text, maxChars) {
+  return text.length > maxChars ? `${text.slice(0, Math.max(0, maxChars - 2))}..` : text;
+}
+
+function drawImage(canvas, image, left, top) {
+  for (let y = 0; y < image.height; y++) {
+    const row = image.data.subarray(y * image.width * 4, (y + 1) * image.width * 4);
+    canvas.data.set(row, ((top + y) * canvas.width + left) * 4);
+  }
+}
+
+/**
+ * Scale an RGBA image so its longest side is tileSize. Doing this as each image is
+ * decoded keeps only tile-sized pixels in memory for large sheets.
+ */
+export function fitToTile(image, tileSize) {
+  const fit = tileSize / Math.max(image.width, image.height);
+  if (fit === 1) {
+    return image;
+  }
+  return resizeImage(
+    image,
+    Math.max(1, Math.round(image.width * fit)),
+    Math.max(1, Math.round(image.height * fit))
+  );
+}
+
+/**
+ * Lay out tiles ({ image: { width, height, data } | null, label: string[] }) in a grid.
+ * Each image is scaled to fit a tileSize square and captioned underneath; a missing
+ * image leaves a gray placeholder. Returns an RGBA { width, height, data } image.
+ */
+export function composeContactSheet(tiles, options = {}) {
+  const tileSize = options.tileSize || 256;
+  const columns = Math.min(tiles.length, options.columns || Math.ceil(Math.sqrt(tiles.length)));
+  const rows = Math.ceil(tiles.length / columns);
+  const padding = options.padding ?? 8;
+  const scale = Math.max(1, Math.floor(tileSize / 256));
+  const labelLines = Math.max(0, ...tiles.map(tile => tile.label.length));
+  const labelHeight = labelLines > 0 ? labelLines * LINE_HEIGHT * scale + padding / 2 : 0;
+  const maxChars = Math.floor(tileSize / (GLYPH_WIDTH * scale));
+
+  const cellWidth = tileSize + padding;
+  const cellHeight = tileSize + labelHeight + padding;
+  const width = columns * cellWidth + padding;
+  const height = rows * cellHeight + padding;
+  const canvas = { width, height, data: Buffer.alloc(width * height * 4) };
+  fillRect(canvas, 0, 0, canvas.width, canvas.height, BACKGROUND);
+
+  tiles.forEach((tile, index) => {
+    const left = padding + (index % columns) * cellWidth;
+    const top = padding + Math.floor(index / columns) * cellHeight;
+
+    if (tile.image) {
+      const fitted = fitToTile(tile.image, tileSize);
+      drawImage(
+        canvas,
+        fitted,
+        left + Math.floor((tileSize - fitted.width) / 2),
+        top + Math.floor((tileSize - fitted.height) / 2)
+      );
+    } else {
+      fillRect(canvas, left, top, tileSize, tileSize, EMPTY_TILE);
+    }
+
+    tile.label.forEach((line, lineIndex) => {
+      drawText(canvas, fitLine(line, maxChars), left, top + tileSize + padding / 2 + lineIndex * LINE_HEIGHT * scale, scale);
+    });
+  });
+
+  return canvas;
+}
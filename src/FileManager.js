@@ -8,12 +8,60 @@
 import { promises as fs } from 'fs';
 import path from 'path';
 import os from 'os';
+import { fileURLToPath } from 'url';
+import { createHash } from 'crypto';
 import fetch from 'node-fetch';
+import {
+  decodeImage,
+  detectImageFormat,
+  downscaleImage,
+  encodeImage,
+  getImageDimensions,
+  getImageMimeType,
+  resizeImage
+} from './ImageUtils.js';
+import { embedMetadata, readMetadata } from './ImageMetadata.js';
+import { composeContactSheet, fitToTile } from './ContactSheet.js';
+
+// Values that are clearly meant as files rather than base64 data
+const LOCAL_PATH_PATTERN = /^(file:\/\/|~\/|\.{1,2}[\\/])|\.(png|jpe?g|webp)$/i;
+
+// Parameters already shown elsewhere in a contact sheet caption, or not worth showing
+const CAPTION_SKIPPED_PARAMETERS = ['prompt', 'seed', 'output_path', 'filename', 'async', 'tags'];
+
+function captionLines(filename, metadata) {
+  if (!metadata) {
+    return [filename];
+  }
+
+  const parameters = Object.entries(metadata.parameters || {})
+    .filter(([key, value]) => !CAPTION_SKIPPED_PARAMETERS.includes(key) &&
+      (typeof value === 'number' || typeof value === 'boolean' ||
+        (typeof value === 'string' && value.length <= 24)))
+    .map(([key, value]) => `${key}=${value}`);
+
+  return [
+    `seed ${metadata.seed ?? '?'} | ${metadata.model || metadata.tool || 'unknown'}`,
+    parameters.join(' '),
+    filename
+  ];
+}
 
 export class FileManager {
   constructor(options = {}) {
-    this.defaultOutputDir = options.defaultOutputDir || 
-      path.join(os.homedir(), 'Downloads', 'flux-generated');
+    // Expanded once so saving, listing and history all agree on one absolute root
+    this.defaultOutputDir = path.resolve(this.expandHome(options.defaultOutputDir ||
+      path.join(os.homedir(), 'Downloads', 'flux-generated')));
+    this.workspaceDir = options.workspaceDir || process.cwd();
+    this.maxInputBytes = options.maxInputBytes || 20 * 1024 * 1024;
+    this.maxInputDimension = options.maxInputDimension ?? 2048;
+    this.sidecars = options.sidecars ?? false;
+  }
+
+  expandHome(filePath) {
+    return filePath === '~' || filePath.startsWith('~/')
+      ? path.join(os.homedir(), filePath.slice(1))
+      : filePath;
   }
 
   async ensureDirectory(dirPath) {
@@ -31,7 +79,7 @@ export class FileManager {
 
     // Handle tilde expansion
     if (customPath.startsWith('~/')) {
-      return path.join(os.homedir(), customPath.slice(2));
+      return this.expandHome(customPath);
     }
 
     // Relative path from default directory
@@ -66,21 +114,112 @@ export class FileManager {
     return `${cleanPrompt}_${cleanModel}_${timestamp}`;
   }
 
-  async fetchImage(url) {
-    const response = await fetch(url);
+  async fetchImage(url, options = {}) {
+    const response = await fetch(url, { signal: options.signal });
     if (!response.ok) {
       throw new Error(`Failed to fetch image: ${response.statusText}`);
     }
     return await response.buffer();
   }
 
+  /**
+   * Load an image given as URL, data URI, local path (absolute, ~/, relative or file://)
+   * or raw base64 into a Buffer.
+   */
+  async loadImageInput(input, options = {}) {
+    if (typeof input !== 'string' || input.trim() === '') {
+      throw new Error('Image input must be a non-empty string');
+    }
+
+    const value = input.trim();
+
+    if (/^https?:\/\//i.test(value)) {
+      return await this.fetchImage(value, { signal: options.signal });
+    }
+
+    const dataUri = /^data:[^;,]+;base64,(.*)$/s.exec(value);
+    if (dataUri) {
+      return Buffer.from(dataUri[1], 'base64');
+    }
+
+    const filePath = await this.resolveInputPath(value);
+    if (filePath) {
+      return await this.readLocalImage(filePath);
+    }
+
+    if (!/^[A-Za-z0-9+/=\s]+$/.test(value)) {
+      throw new Error(`Image not found: ${value}`);
+    }
+    return Buffer.from(value, 'base64');
+  }
+
+  async resolveInputPath(value) {
+    let candidate;
+    if (value.startsWith('file://')) {
+      candidate = fileURLToPath(value);
+    } else if (value.startsWith('~/')) {
+      candidate = path.join(os.homedir(), value.slice(2));
+    } else {
+      // Base64 can look like a relative path, so only accept paths that exist
+      candidate = path.resolve(this.workspaceDir, value);
+    }
+
+    return await this.fileExists(candidate) ? candidate : null;
+  }
+
+  /**
+   * Turn a local path or file:// URL into base64 for the API, rejecting oversized files
+   * and downscaling images larger than maxInputDimension. URLs and base64 pass through.
+   */
+  async encodeImageInput(input) {
+    if (typeof input !== 'string') {
+      return input;
+    }
+
+    const value = input.trim();
+    if (/^(https?:|data:)/i.test(value)) {
+      return input;
+    }
+
+    const filePath = await this.resolveInputPath(value);
+    if (!filePath) {
+      if (LOCAL_PATH_PATTERN.test(value)) {
+        throw new Error(`Image not found: ${value}`);
+      }
+      return input;
+    }
+
+    const imageData = await this.readLocalImage(filePath);
+    return downscaleImage(imageData, this.maxInputDimension).toString('base64');
+  }
+
+  /**
+   * Read a local file that is about to be uploaded, rejecting oversized files and anything
+   * that is not a PNG, JPEG or WebP image so a mistyped path never sends e.g. a key file to BFL.
+   */
+  async readLocalImage(filePath) {
+    const { size } = await fs.stat(filePath);
+    if (size > this.maxInputBytes) {
+      const limitMb = Math.round(this.maxInputBytes / (1024 * 1024));
+      throw new Error(`Image ${filePath} is ${(size / (1024 * 1024)).toFixed(1)}MB, over the ${limitMb}MB limit`);
+    }
+
+    const imageData = await fs.readFile(filePath);
+    if (!detectImageFormat(imageData)) {
+      throw new Error(`${filePath} is not a PNG, JPEG or WebP image`);
+    }
+    return imageData;
+  }
+
   async saveImageFromUrl(imageUrl, options = {}) {
     const {
       outputPath,
       filename,
       prompt,
       model,
-      outputFormat = 'jpeg'
+      outputFormat = 'jpeg',
+      metadata,
+      signal
     } = options;
 
     try {
@@ -105,8 +244,11 @@ export class FileManager {
       const fullPath = path.join(resolvedPath, finalFilename);
 
       // Fetch and save image
-      const imageData = await this.fetchImage(imageUrl);
-      await fs.writeFile(fullPath, imageData);
+      const imageData = await this.fetchImage(imageUrl, { signal });
+      if (signal?.aborted) {
+        throw new Error('Download cancelled');
+      }
+      await fs.writeFile(fullPath, metadata ? this.withMetadata(imageData, metadata) : imageData);
 
       return fullPath;
     } catch (error) {
@@ -114,6 +256,189 @@ export class FileManager {
     }
   }
 
+  withMetadata(imageData, metadata) {
+    try {
+      return embedMetadata(imageData, metadata);
+    } catch {
+      // Provenance is best effort; an odd file is still worth keeping
+      return imageData;
+    }
+  }
+
+  /**
+   * Read generation metadata from a saved image - embedded, else from its sidecar - given as
+   * a path relative to the workspace or output directory, an absolute or ~/ path, or a file:// URL.
+   */
+  async readImageMetadata(filePath) {
+    const resolvedPath = await this.resolveSavedImage(filePath);
+    const imageData = await fs.readFile(resolvedPath);
+    return {
+      path: resolvedPath,
+      format: detectImageFormat(imageData),
+      metadata: readMetadata(imageData) ?? await this.readSidecarMetadata(resolvedPath)
+    };
+  }
+
+  async resolveSavedImage(filePath) {
+    const candidates = [await this.resolveInputPath(filePath), this.resolvePath(filePath)];
+    for (const candidate of candidates) {
+      if (candidate && await this.fileExists(candidate)) {
+        return candidate;
+      }
+    }
+    throw new Error(`Image not found: ${filePath}`);
+  }
+
+  async readSidecarMetadata(imagePath) {
+    try {
+      const sidecar = JSON.parse(await fs.readFile(`${imagePath}.json`, 'utf8'));
+      return sidecar.generation ?? null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * JPEG preview of a saved PNG or JPEG whose longest side is at most maxDimension.
+   * Images already small enough are returned as they are.
+   */
+  async createThumbnail(filePath, maxDimension) {
+    const imageData = await fs.readFile(filePath);
+    const format = detectImageFormat(imageData);
+    if (format !== 'png' && format !== 'jpeg') {
+      throw new Error(`Cannot make a thumbnail of ${format || 'unknown'} images`);
+    }
+
+    const { width, height } = getImageDimensions(imageData);
+    const scale = maxDimension / Math.max(width, height);
+    if (scale >= 1) {
+      return { data: imageData, mimeType: `image/${format}`, width, height };
+    }
+
+    const thumbnail = resizeImage(
+      decodeImage(imageData),
+      Math.max(1, Math.round(width * scale)),
+      Math.max(1, Math.round(height * scale))
+    );
+    return {
+      data: encodeImage(thumbnail, 'jpeg', 80),
+      mimeType: 'image/jpeg',
+      width: thumbnail.width,
+      height: thumbnail.height
+    };
+  }
+
+  /**
+   * Tile saved images into a PNG grid captioned with each image's seed, model, parameters
+   * and file name. Images that cannot be decoded (WebP) keep a blank tile with a caption.
+   */
+  async createContactSheet(imagePaths, options = {}) {
+    const { outputPath, filename, columns, tileSize = 256 } = options;
+
+    if (!imagePaths || imagePaths.length === 0) {
+      throw new Error('At least one image is required for a contact sheet');
+    }
+
+    const tiles = [];
+    for (const imagePath of imagePaths) {
+      const { path: resolvedPath, metadata } = await this.readImageMetadata(imagePath);
+      let image = null;
+      try {
+        image = fitToTile(decodeImage(await fs.readFile(resolvedPath)), tileSize);
+      } catch {
+        // Leave a placeholder; the caption still identifies the file
+      }
+      tiles.push({ image, label: captionLines(path.basename(resolvedPath), metadata) });
+    }
+
+    const sheet = composeContactSheet(tiles, { columns, tileSize });
+
+    const directory = this.resolvePath(outputPath);
+    await this.ensureDirectory(directory);
+    let finalFilename = filename || `contact_sheet_${Date.now()}`;
+    if (!/\.png$/i.test(finalFilename)) {
+      finalFilename = `${finalFilename.replace(/\.(jpe?g|webp)$/i, '')}.png`;
+    }
+    const savedPath = path.join(directory, finalFilename);
+    const imageData = encodeImage(sheet, 'png');
+    await fs.writeFile(savedPath, imageData);
+
+    return {
+      savedPath,
+      filename: finalFilename,
+      directory,
+      size: imageData.length,
+      width: sheet.width,
+      height: sheet.height,
+      columns: Math.min(tiles.length, columns || Math.ceil(Math.sqrt(tiles.length))),
+      count: tiles.length
+    };
+  }
+
+  /**
+   * Images under the output directory, newest first, with paths relative to it.
+   * Hidden files and folders such as the generation history are skipped.
+   */
+  async listSavedImages() {
+    const root = this.defaultOutputDir;
+    const images = [];
+
+    const walk = async (directory) => {
+      let entries;
+      try {
+        entries = await fs.readdir(directory, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return;
+        }
+        throw error;
+      }
+
+      for (const entry of entries) {
+        if (entry.name.startsWith('.')) {
+          continue;
+        }
+
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+        } else if (entry.isFile() && getImageMimeType(entry.name)) {
+          const stats = await fs.stat(entryPath);
+          images.push({
+            path: entryPath,
+            relativePath: path.relative(root, entryPath),
+            mimeType: getImageMimeType(entry.name),
+            size: stats.size,
+            modifiedAt: stats.mtime.toISOString()
+          });
+        }
+      }
+    };
+
+    await walk(root);
+    return images.sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt));
+  }
+
+  /**
+   * Path of a saved file relative to the output directory, or null when it lies outside it.
+   */
+  getOutputRelativePath(filePath) {
+    const relativePath = path.relative(this.defaultOutputDir, path.resolve(filePath));
+    return !relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath) ? null : relativePath;
+  }
+
+  async readSavedImage(relativePath) {
+    const filePath = path.resolve(this.defaultOutputDir, relativePath);
+    const mimeType = getImageMimeType(filePath);
+
+    // Resource URIs come from clients, so never read outside the output directory
+    if (!this.getOutputRelativePath(filePath) || !mimeType) {
+      throw new Error(`Not a saved image: ${relativePath}`);
+    }
+
+    return { path: filePath, mimeType, data: await fs.readFile(filePath) };
+  }
+
   async fileExists(filePath) {
     try {
       await fs.access(filePath);
@@ -143,15 +468,63 @@ export class FileManager {
   async saveGeneratedImage(imageUrl, options = {}) {
     const savedPath = await this.saveImageFromUrl(imageUrl, options);
     const fileInfo = await this.getFileInfo(savedPath);
+    const sidecarPath = this.sidecars ? await this.writeSidecar(savedPath, imageUrl, options) : null;
     
     return {
       savedPath,
       filename: path.basename(savedPath),
       directory: path.dirname(savedPath),
-      size: fileInfo.size
+      size: fileInfo.size,
+      sidecarPath
     };
   }
 
+  /**
+   * Write `<image>.json` next to a saved image: content hash and dimensions, plus the
+   * request, response and expert passed in `options.manifest` by the caller.
+   */
+  async writeSidecar(imagePath, imageUrl, options = {}) {
+    const imageData = await fs.readFile(imagePath);
+    const { request = null, response = null, expert = null, ...extra } = options.manifest || {};
+
+    let dimensions = { format: detectImageFormat(imageData), width: null, height: null };
+    try {
+      dimensions = getImageDimensions(imageData);
+    } catch {
+      // Unknown formats still get a hash and size
+    }
+
+    const sidecar = {
+      image: {
+        file: path.basename(imagePath),
+        sha256: createHash('sha256').update(imageData).digest('hex'),
+        bytes: imageData.length,
+        ...dimensions
+      },
+      prompt: options.prompt ?? null,
+      model: options.model ?? null,
+      expert,
+      sourceUrl: imageUrl,
+      generation: options.metadata ?? null,
+      request,
+      response,
+      ...extra,
+      savedAt: new Date().toISOString()
+    };
+
+    const sidecarPath = `${imagePath}.json`;
+    await this.writeJson(sidecarPath, sidecar);
+    return sidecarPath;
+  }
+
+  async writeJson(filePath, data) {
+    try {
+      await fs.writeFile(filePath, `${JSON.stringify(data, null, 2)}\n`);
+    } catch (error) {
+      throw new Error(`Failed to write manifest: ${error.message}`);
+    }
+  }
+
   suggestOrganization(prompt) {
     const lowercasePrompt = prompt.toLowerCase();
     
@@ -202,31 +575,109 @@ export class FileManager {
     };
   }
 
+  /**
+   * Save several generations as `<base>_<batch ID>_<variation>`, so a rerun never overwrites
+   * an earlier batch. Items may carry their own prompt, model, metadata and manifest;
+   * otherwise the batch-wide values apply. `options.batchId` defaults to a timestamp and
+   * `options.manifest` adds fields to the batch manifest. An item that fails to save is
+   * returned as `{ variation, savedPath: null, error }` and the rest are still saved.
+   */
   async saveBatch(imageUrls, options = {}) {
-    const {
-      basePrompt,
-      outputPath,
-      variations = []
-    } = options;
-
+    const { variations = [], signal } = options;
+    const batchOptions = { ...options, batchId: options.batchId ?? `${Date.now()}` };
     const results = [];
-    
+
     for (let i = 0; i < imageUrls.length; i++) {
-      const urlInfo = imageUrls[i];
-      const variation = variations[i] || `v${i + 1}`;
-      
-      const filename = `${basePrompt.replace(/[^a-zA-Z0-9]/g, '_')}_${variation}`;
-      
-      const result = await this.saveGeneratedImage(urlInfo.url, {
-        outputPath,
-        filename,
-        prompt: basePrompt,
-        model: 'batch'
-      });
-      
-      results.push(result);
+      const variation = variations[i] || imageUrls[i].variation || `v${i + 1}`;
+
+      try {
+        results.push(await this.saveBatchImage({ ...imageUrls[i], variation }, batchOptions));
+      } catch (error) {
+        if (signal?.aborted) {
+          throw error;
+        }
+        results.push({ variation, savedPath: null, error: error.message });
+      }
     }
-    
+
+    await this.writeBatchManifest(results.filter(result => result.savedPath), batchOptions);
     return results;
   }
+
+  /**
+   * Save one batch item as `<base>_<batch ID>_<variation>`, so callers can save each image
+   * as soon as it is ready and write the manifest once the batch is done. Takes the
+   * `saveBatch` options; `batchId` is required and must be the same for the whole batch.
+   */
+  async saveBatchImage(item, options = {}) {
+    const { basePrompt, outputPath, model = 'batch', outputFormat, signal } = options;
+    const { filePrefix, batchManifestPath } = this.getBatchPaths(options);
+    const manifest = batchManifestPath
+      ? { ...item.manifest, batch: path.basename(batchManifestPath) }
+      : item.manifest;
+
+    const result = await this.saveGeneratedImage(item.url, {
+      outputPath,
+      filename: `${filePrefix}_${item.variation}`,
+      prompt: item.prompt ?? basePrompt,
+      model: item.model ?? model,
+      outputFormat: item.outputFormat ?? outputFormat,
+      metadata: item.metadata,
+      manifest,
+      signal
+    });
+
+    return {
+      ...result,
+      variation: item.variation,
+      prompt: item.prompt ?? basePrompt,
+      model: item.model ?? model,
+      seed: item.metadata?.seed ?? null,
+      batchManifestPath
+    };
+  }
+
+  /**
+   * Write the batch manifest linking the saved variants returned by `saveBatchImage`.
+   * Returns its path, or null when sidecars are off.
+   */
+  async writeBatchManifest(results, options = {}) {
+    const { basePrompt, batchId, model = results[0]?.model ?? 'batch', manifest: batchDetails = {} } = options;
+    const { batchManifestPath } = this.getBatchPaths(options);
+    if (!batchManifestPath) {
+      return null;
+    }
+
+    await this.writeJson(batchManifestPath, {
+      batchId,
+      ...batchDetails,
+      prompt: basePrompt,
+      model,
+      count: results.length,
+      variants: results.map(result => ({
+        variation: result.variation,
+        prompt: result.prompt,
+        seed: result.seed,
+        file: result.filename,
+        sidecar: path.basename(result.sidecarPath),
+        size: result.size
+      })),
+      createdAt: new Date().toISOString()
+    });
+
+    return batchManifestPath;
+  }
+
+  getBatchPaths({ basePrompt, outputPath, batchId }) {
+    if (!batchId) {
+      throw new Error('batchId is required to name batch files');
+    }
+
+    const baseName = basePrompt.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 50);
+    const filePrefix = `${baseName}_${String(batchId).replace(/[^a-zA-Z0-9-]/g, '_')}`;
+    const batchManifestPath = this.sidecars
+      ? path.join(this.resolvePath(outputPath), `${filePrefix}_batch.json`)
+      : null;
+    return { filePrefix, batchManifestPath };
+  }
 } 
\ No newline at end of file
@@ -6,15 +6,123 @@
  */
 
 import fetch from 'node-fetch';
+import {
+  createHttpError,
+  FluxCancelledError,
+  FluxModerationError,
+  FluxNetworkError,
+  FluxTaskError,
+  FluxTimeoutError
+} from './FluxErrors.js';
+
+// BFL regional hosts; 'global' routes to the nearest cluster
+export const REGION_BASE_URLS = {
+  global: 'https://api.bfl.ai',
+  eu: 'https://api.eu.bfl.ai',
+  us: 'https://api.us.bfl.ai'
+};
+
+export const DEFAULT_BASE_URL = REGION_BASE_URLS.global;
+
+// Hosts a submission's polling_url may name; the API key is never sent anywhere else
+const TRUSTED_POLLING_HOSTS = Object.values(REGION_BASE_URLS).map(url => new URL(url).host);
+const TRUSTED_POLLING_DOMAIN = '.bfl.ai';
+
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,       // total tries, including the first
+  baseDelay: 500,       // ms, doubled on every attempt
+  maxDelay: 10000,      // ms, cap for a single backoff
+  maxRetryAfter: 60000, // ms, longer Retry-After values fail fast instead
+  jitter: true
+};
+
+// Rate limits and gateway blips; other 4xx (401, 402, 422...) will not succeed on retry
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+async function readErrorBody(response) {
+  try {
+    const text = await response.text();
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text || null;
+    }
+  } catch {
+    return null;
+  }
+}
+
+function abortableSleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new FluxCancelledError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new FluxCancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
 
 export class FluxApiClient {
-  constructor(apiKey) {
+  constructor(apiKey, options = {}) {
     if (!apiKey) {
       throw new Error('API key is required');
     }
     
     this.apiKey = apiKey;
-    this.baseUrl = 'https://api.bfl.ai';
+    this.baseUrl = FluxApiClient.resolveBaseUrl(options);
+    this.retry = { ...DEFAULT_RETRY_POLICY, ...options.retry };
+    this.sleep = options.sleep || abortableSleep;
+  }
+
+  static resolveBaseUrl({ baseUrl, region } = {}) {
+    // An explicit URL wins over a region name
+    if (baseUrl) {
+      let parsed;
+      try {
+        parsed = new URL(baseUrl);
+      } catch {
+        throw new Error(`Invalid base URL: ${baseUrl}`);
+      }
+
+      if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new Error(`Invalid base URL: ${baseUrl}`);
+      }
+
+      return baseUrl.replace(/\/+$/, '');
+    }
+
+    if (region) {
+      const regionUrl = REGION_BASE_URLS[region.toLowerCase()];
+      if (!regionUrl) {
+        throw new Error(`Unknown region: ${region} (expected one of ${Object.keys(REGION_BASE_URLS).join(', ')})`);
+      }
+      return regionUrl;
+    }
+
+    return DEFAULT_BASE_URL;
   }
 
   getHeaders() {
@@ -24,7 +132,7 @@ export class FluxApiClient {
     };
   }
 
-  async submitGeneration(endpoint, payload) {
+  async submitGeneration(endpoint, payload, options = {}) {
     if (!endpoint) {
       throw new Error('Endpoint is required');
     }
@@ -35,63 +143,130 @@ export class FluxApiClient {
 
     const url = `${this.baseUrl}/${endpoint}`;
     
-    try {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: this.getHeaders(),
-        body: JSON.stringify(payload)
-      });
+    return this.request(url, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(payload)
+    }, { signal: options.signal });
+  }
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+  getPollingUrl(taskId, pollingUrl) {
+    // Submissions may be served by a regional host that differs from baseUrl
+    if (pollingUrl && this.isTrustedPollingUrl(pollingUrl)) {
+      return pollingUrl;
+    }
+    return `${this.baseUrl}/v1/get_result?id=${encodeURIComponent(taskId)}`;
+  }
 
-      return await response.json();
-    } catch (error) {
-      if (error.message.includes('HTTP')) {
-        throw error;
-      }
-      throw new Error(`Network error: ${error.message}`);
+  isTrustedPollingUrl(pollingUrl) {
+    let parsed;
+    try {
+      parsed = new URL(pollingUrl);
+    } catch {
+      return false;
+    }
+
+    if (parsed.origin === new URL(this.baseUrl).origin) {
+      return true;
     }
+
+    return parsed.protocol === 'https:' && !parsed.username && !parsed.password &&
+      (TRUSTED_POLLING_HOSTS.includes(parsed.host) || parsed.hostname.endsWith(TRUSTED_POLLING_DOMAIN));
   }
 
-  async getResult(taskId) {
+  async getResult(taskId, options = {}) {
     if (!taskId) {
       throw new Error('Task ID is required');
     }
 
-    const url = `${this.baseUrl}/v1/get_result?id=${encodeURIComponent(taskId)}`;
+    const url = this.getPollingUrl(taskId, options.pollingUrl);
     
-    try {
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: { 'x-key': this.apiKey }
-      });
+    return this.request(url, {
+      method: 'GET',
+      headers: { 'x-key': this.apiKey }
+    }, { taskId, signal: options.signal });
+  }
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  async request(url, init, requestContext = {}) {
+    const { maxAttempts } = this.retry;
+    const { signal, ...context } = requestContext;
+
+    for (let attempt = 1; ; attempt++) {
+      if (signal?.aborted) {
+        throw new FluxCancelledError('Generation cancelled', context);
+      }
+
+      let response;
+      try {
+        response = await fetch(url, { ...init, signal });
+      } catch (error) {
+        if (error.name === 'AbortError' || signal?.aborted) {
+          throw new FluxCancelledError('Generation cancelled', context);
+        }
+        if (attempt < maxAttempts) {
+          await this.sleep(this.getBackoffDelay(attempt), signal);
+          continue;
+        }
+        throw new FluxNetworkError(`Network error: ${error.message}`, { ...context, cause: error });
       }
 
-      return await response.json();
-    } catch (error) {
-      if (error.message.includes('HTTP')) {
-        throw error;
+      if (response.ok) {
+        return await response.json();
       }
-      throw new Error(`Network error: ${error.message}`);
+
+      const retryable = RETRYABLE_STATUS_CODES.includes(response.status);
+      const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+
+      if (retryable && attempt < maxAttempts && (retryAfter === null || retryAfter <= this.retry.maxRetryAfter)) {
+        await this.sleep(retryAfter ?? this.getBackoffDelay(attempt), signal);
+        continue;
+      }
+
+      throw createHttpError(response.status, response.statusText, {
+        ...context,
+        body: await readErrorBody(response),
+        retryable,
+        retryAfter
+      });
     }
   }
 
+  getBackoffDelay(attempt) {
+    const { baseDelay, maxDelay, jitter } = this.retry;
+    const ceiling = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+
+    // Full jitter keeps a burst of rate-limited clients from retrying in lockstep
+    return jitter ? Math.round(Math.random() * ceiling) : ceiling;
+  }
+
   async waitForCompletion(taskId, options = {}) {
     const {
       maxWaitTime = 300000, // 5 minutes
       pollInterval = 2000,   // 2 seconds
-      onProgress = null
+      onProgress = null,
+      pollingUrl = null,
+      signal = null
     } = options;
 
     const startTime = Date.now();
     
     while (Date.now() - startTime < maxWaitTime) {
-      const result = await this.getResult(taskId);
+      let result;
+      try {
+        result = await this.getResult(taskId, { pollingUrl, signal });
+      } catch (error) {
+        // The task keeps running server-side; a flaky poll shouldn't abandon it
+        if (!error.retryable) {
+          throw error;
+        }
+        // A long Retry-After is still honored between polls, unless it outlasts the wait
+        const delay = Math.max(pollInterval, error.retryAfter ?? 0);
+        if (delay > maxWaitTime - (Date.now() - startTime)) {
+          throw error;
+        }
+        await this.sleep(delay, signal);
+        continue;
+      }
       
       if (onProgress && typeof onProgress === 'function') {
         onProgress(result);
@@ -101,14 +276,18 @@ export class FluxApiClient {
         return result;
       }
       
-      if (['Error', 'Content Moderated', 'Request Moderated'].includes(result.status)) {
-        throw new Error(`Task failed: ${result.status}`);
+      if (['Content Moderated', 'Request Moderated'].includes(result.status)) {
+        throw new FluxModerationError(`Task failed: ${result.status}`, { taskId, body: result });
+      }
+
+      if (['Error', 'Task not found'].includes(result.status)) {
+        throw new FluxTaskError(`Task failed: ${result.status}`, { taskId, body: result });
       }
       
       // Wait before next poll
-      await new Promise(resolve => setTimeout(resolve, pollInterval));
+      await this.sleep(pollInterval, signal);
     }
     
-    throw new Error('Task timed out');
+    throw new FluxTimeoutError('Task timed out', { taskId });
   }
 } 
\ No newline at end of file
@@ -0,0 +1,132 @@
+// SPDX-License-Identifier: MIT
+/**
+ * 🚨 Flux Errors
+ *
+ * Typed errors raised by FluxApiClient so callers can branch on `kind` or `instanceof`
+ */
+
+export class FluxApiError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'FluxApiError';
+    this.kind = 'api';
+    this.status = details.status ?? null;
+    this.taskId = details.taskId ?? null;
+    this.body = details.body ?? null;
+    this.retryable = details.retryable ?? false;
+    if (details.cause) {
+      this.cause = details.cause;
+    }
+  }
+}
+
+export class FluxAuthenticationError extends FluxApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'FluxAuthenticationError';
+    this.kind = 'authentication';
+  }
+}
+
+export class FluxInsufficientCreditsError extends FluxApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'FluxInsufficientCreditsError';
+    this.kind = 'insufficient_credits';
+  }
+}
+
+export class FluxRateLimitError extends FluxApiError {
+  constructor(message, details = {}) {
+    super(message, { retryable: true, ...details });
+    this.name = 'FluxRateLimitError';
+    this.kind = 'rate_limited';
+    this.retryAfter = details.retryAfter ?? null;
+  }
+}
+
+export class FluxValidationError extends FluxApiError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'FluxValidationError';
+    this.kind = 'validation';
+    // BFL answers 422 with FastAPI-style { detail: [{ loc, msg, type }] }
+    this.validationErrors = Array.isArray(details.body?.detail) ? details.body.detail : [];
+  }
+}
+
+export class FluxModerationError extends FluxApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'FluxModerationError';
+    this.kind = 'moderation';
+  }
+}
+
+export class FluxTaskError extends FluxApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'FluxTaskError';
+    this.kind = 'task_failed';
+  }
+}
+
+export class FluxTimeoutError extends FluxApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'FluxTimeoutError';
+    this.kind = 'timeout';
+  }
+}
+
+export class FluxNetworkError extends FluxApiError {
+  constructor(message, details = {}) {
+    super(message, { retryable: true, ...details });
+    this.name = 'FluxNetworkError';
+    this.kind = 'network';
+  }
+}
+
+export class FluxCancelledError extends FluxApiError {
+  constructor(message = 'Generation cancelled', details) {
+    super(message, details);
+    this.name = 'FluxCancelledError';
+    this.kind = 'cancelled';
+  }
+}
+
+/**
+ * Map a non-2xx response onto the matching error type.
+ */
+export function createHttpError(status, statusText, details = {}) {
+  const message = `HTTP ${status}: ${statusText}`;
+  const context = { ...details, status };
+
+  switch (status) {
+  case 401:
+  case 403:
+    return new FluxAuthenticationError(message, context);
+  case 402:
+    return new FluxInsufficientCreditsError(message, context);
+  case 429:
+    return new FluxRateLimitError(message, context);
+  case 422: {
+    const error = new FluxValidationError(message, context);
+    if (error.validationErrors.length > 0) {
+      error.message = `${message} - ${formatValidationErrors(error.validationErrors)}`;
+    }
+    return error;
+  }
+  default:
+    return new FluxApiError(message, context);
+  }
+}
+
+export function formatValidationErrors(validationErrors) {
+  return validationErrors
+    .map(({ loc = [], msg }) => {
+      const field = loc.filter(part => part !== 'body').join('.');
+      return field ? `${field}: ${msg}` : msg;
+    })
+    .join('; ');
+}
@@ -5,10 +5,49 @@
  * Main MCP server that integrates Flux API client, file management, and expert prompts
  */
 
+import path from 'path';
+import { EventEmitter } from 'events';
+import { pathToFileURL } from 'url';
+import { randomUUID } from 'crypto';
 import { ExpertPrompts } from './ExpertPrompts.js';
+import { TaskRegistry } from './TaskRegistry.js';
+import { getImageDimensions, getImageMimeType } from './ImageUtils.js';
+import { validateAgainstSchema } from './SchemaValidator.js';
+import { ModelRegistry, parseAspectRatio } from './ModelRegistry.js';
+import { GenerationHistory } from './GenerationHistory.js';
 
-export class FluxMcpServer {
+// Terminal BFL statuses that will never produce an image
+const FAILED_STATUSES = ['Error', 'Content Moderated', 'Request Moderated', 'Task not found'];
+
+const HISTORY_STATUS_ICONS = { pending: '⏳', success: '✅', failed: '❌', cancelled: '🛑' };
+
+const MAX_BATCH_SIZE = 20;
+const MAX_CONTACT_SHEET_IMAGES = 100;
+
+const IMAGE_RESOURCE_SCHEME = 'flux-image://';
+
+// Run worker over items with at most `limit` in flight, keeping results in input order
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Emits `resourcesChanged` whenever new images are saved to the output directory.
+ */
+export class FluxMcpServer extends EventEmitter {
   constructor(options = {}) {
+    super();
     const { apiClient, fileManager } = options;
     
     if (!apiClient) {
@@ -25,22 +64,50 @@ export class FluxMcpServer {
     this.name = 'flux-ai-mcp-server';
     this.version = '1.0.0';
     
+    this.modelRegistry = options.modelRegistry || new ModelRegistry();
+
     // Tool endpoint mapping
-    this.endpointMap = {
-      'flux_pro_generate': 'v1/flux-pro',
-      'flux_dev_generate': 'v1/flux-dev',
-      'flux_pro_11_generate': 'v1/flux-pro-1.1',
-      'flux_kontext_pro_generate': 'v1/flux-kontext-pro',
-      'flux_kontext_max_generate': 'v1/flux-kontext-max'
-    };
+    this.endpointMap = this.modelRegistry.getEndpointMap();
     
-    // File management parameters that should be filtered from API calls
-    this.fileManagementParams = ['output_path', 'filename'];
+    // Tools that operate on previously submitted tasks
+    this.taskTools = {
+      'flux_get_task_status': (args, context) => this.getTaskStatus(args, context),
+      'flux_fetch_result': (args, context) => this.fetchTaskResult(args, context)
+    };
+
+    // Tools that query or build on past generations
+    this.historyTools = {
+      'flux_list_history': (args) => this.listHistory(args),
+      'flux_search_history': (args) => this.searchHistory(args),
+      'flux_regenerate': (args, context) => this.regenerate(args, context)
+    };
+
+    // Tools that produce several images per call
+    this.batchTools = {
+      'flux_batch_generate': (args, context) => this.batchGenerate(args, context),
+      'flux_parameter_sweep': (args, context) => this.parameterSweep(args, context)
+    };
+
+    // Tools that work on images already saved to disk
+    this.fileTools = {
+      'flux_read_image_metadata': (args) => this.readImageMetadata(args),
+      'flux_make_contact_sheet': (args) => this.makeContactSheet(args)
+    };
+
+    this.taskRegistry = options.taskRegistry || new TaskRegistry();
+    this.history = options.history || null;
+    this.batchConcurrency = options.batchConcurrency || 3;
+    this.thumbnailSize = options.thumbnailSize ?? 512;
   }
 
-  async listResources() {
+  /**
+   * Expert prompts followed by saved images, newest first. `offset` and `limit` select a
+   * page so image metadata is only read for the resources actually returned.
+   */
+  async listResources(options = {}) {
+    const { offset = 0, limit = Infinity } = options;
     const experts = this.expertPrompts.listExperts();
-    return experts.map(expertId => {
+    const expertResources = experts.map(expertId => {
       const metadata = this.expertPrompts.getExpertMetadata(expertId);
       return {
         uri: metadata.uri,
@@ -49,9 +116,52 @@ export class FluxMcpServer {
         mimeType: 'text/plain'
       };
     });
+
+    const images = await this.fileManager.listSavedImages();
+    const imageStart = Math.max(0, offset - expertResources.length);
+    const imageEnd = Math.max(0, offset + limit - expertResources.length);
+
+    return [
+      ...expertResources.slice(offset, offset + limit),
+      ...await this.describeImageResources(images.slice(imageStart, imageEnd))
+    ];
+  }
+
+  async describeImageResources(images) {
+    // Sidecars are small; fall back to reading the image, a few at a time
+    return mapWithConcurrency(images, 4, async image => {
+      let metadata = await this.fileManager.readSidecarMetadata(image.path);
+      if (!metadata) {
+        try {
+          ({ metadata } = await this.fileManager.readImageMetadata(image.path));
+        } catch {
+          // A file that vanished or cannot be parsed is still listed
+        }
+      }
+
+      return {
+        uri: this.getImageResourceUri(image.relativePath),
+        name: image.relativePath.split(path.sep).join('/'),
+        description: metadata?.prompt
+          ? `${metadata.prompt} (${metadata.model ?? metadata.tool ?? 'unknown model'}, seed ${metadata.seed ?? 'unknown'})`
+          : 'Generated image',
+        mimeType: image.mimeType,
+        size: image.size,
+        annotations: { lastModified: image.modifiedAt },
+        ...(metadata && { _meta: { generation: metadata } })
+      };
+    });
+  }
+
+  getImageResourceUri(relativePath) {
+    return IMAGE_RESOURCE_SCHEME + relativePath.split(path.sep).map(encodeURIComponent).join('/');
   }
 
   async readResource(uri) {
+    if (uri.startsWith(IMAGE_RESOURCE_SCHEME)) {
+      return this.readImageResource(uri);
+    }
+
     if (!uri.startsWith('flux-expert://')) {
       throw new Error('Unknown resource');
     }
@@ -69,373 +179,1715 @@ export class FluxMcpServer {
     }
   }
 
+  async readImageResource(uri) {
+    try {
+      const relativePath = uri.slice(IMAGE_RESOURCE_SCHEME.length).split('/').map(decodeURIComponent).join(path.sep);
+      const { data, mimeType } = await this.fileManager.readSavedImage(relativePath);
+      return {
+        type: 'blob',
+        blob: data.toString('base64'),
+        mimeType
+      };
+    } catch (error) {
+      throw new Error('Unknown resource');
+    }
+  }
+
   async listTools() {
+    const modelTools = this.modelRegistry.list().map(model => this.modelRegistry.getToolDefinition(model.tool));
+
     return [
+      ...modelTools,
       {
-        name: 'flux_pro_generate',
-        description: 'Generate high-quality images using FLUX.1 [pro] model - best for professional results, detailed scenes, and complex compositions',
+        name: 'flux_get_task_status',
+        description: 'Check the status and progress of a generation submitted with async: true',
         inputSchema: {
           type: 'object',
           properties: {
-            prompt: {
+            task_id: {
               type: 'string',
-              description: 'Detailed text prompt for image generation'
-            },
-            image_prompt: {
+              minLength: 1,
+              description: 'Task ID returned by a generate tool'
+            }
+          },
+          required: ['task_id'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'flux_fetch_result',
+        description: 'Download and save the image of a finished async generation (result URLs expire after about 10 minutes)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            task_id: {
               type: 'string',
-              description: 'Optional base64 encoded image to use as visual prompt'
+              minLength: 1,
+              description: 'Task ID returned by a generate tool'
             },
-            width: {
-              type: 'integer',
-              description: 'Width in pixels (multiple of 32, 256-1440)',
-              default: 1024
+            wait: {
+              type: 'boolean',
+              description: 'Block until the task finishes instead of returning its current status',
+              default: false
             },
-            height: {
-              type: 'integer',
-              description: 'Height in pixels (multiple of 32, 256-1440)',
-              default: 768
+            output_path: {
+              type: 'string',
+              description: 'Custom output path, overriding the one given at submission (optional)'
             },
-            steps: {
+            filename: {
+              type: 'string',
+              description: 'Custom filename without extension, overriding the one given at submission (optional)'
+            }
+          },
+          required: ['task_id'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'flux_list_history',
+        description: 'List past generations, newest first, with prompt, model, outcome, seed and saved path',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            limit: {
               type: 'integer',
-              description: 'Generation steps (1-50, default 40)',
-              default: 40
-            },
-            guidance: {
-              type: 'number',
-              description: 'Guidance scale (1.5-5, default 2.5)',
-              default: 2.5
+              minimum: 1,
+              maximum: 100,
+              description: 'Maximum number of entries (1-100, default 20)',
+              default: 20
             },
-            seed: {
+            offset: {
               type: 'integer',
-              description: 'Seed for reproducibility'
+              minimum: 0,
+              description: 'Number of entries to skip, for paging',
+              default: 0
             },
-            output_path: {
+            model: {
               type: 'string',
-              description: 'Custom output path for the generated image (optional)'
+              description: 'Only generations from this tool or endpoint, e.g. \'flux_dev_generate\' or \'kontext\''
             },
-            filename: {
+            status: {
               type: 'string',
-              description: 'Custom filename without extension (optional)'
+              enum: ['pending', 'success', 'failed', 'cancelled'],
+              description: 'Only generations with this outcome'
             },
-            safety_tolerance: {
-              type: 'integer',
-              description: 'Safety tolerance (0-6, default 2)',
-              default: 2
+            since: {
+              type: 'string',
+              description: 'Only generations on or after this date (ISO 8601, e.g. 2025-01-31)'
             },
-            prompt_upsampling: {
-              type: 'boolean',
-              description: 'Enable prompt upsampling for creativity',
-              default: false
+            until: {
+              type: 'string',
+              description: 'Only generations on or before this date (ISO 8601)'
             }
           },
-          required: ['prompt']
+          additionalProperties: false
         }
       },
       {
-        name: 'flux_dev_generate',
-        description: 'Generate images using FLUX.1 [dev] model - fast, good quality, ideal for experimentation and iterations',
+        name: 'flux_search_history',
+        description: 'Search past generations by prompt text, model, tag and date to find and reuse earlier results',
         inputSchema: {
           type: 'object',
           properties: {
-            prompt: {
+            query: {
               type: 'string',
-              description: 'Text prompt for image generation'
+              description: 'Words that must all appear in the prompt'
             },
-            image_prompt: {
+            model: {
               type: 'string',
-              description: 'Optional base64 encoded image prompt'
+              description: 'Only generations from this tool or endpoint'
             },
-            width: {
-              type: 'integer',
-              description: 'Width in pixels (multiple of 32, 256-1440)',
-              default: 1024
+            tag: {
+              type: 'string',
+              description: 'Only generations carrying this tag'
             },
-            height: {
-              type: 'integer',
-              description: 'Height in pixels (multiple of 32, 256-1440)',
-              default: 768
+            status: {
+              type: 'string',
+              enum: ['pending', 'success', 'failed', 'cancelled'],
+              description: 'Only generations with this outcome'
+            },
+            since: {
+              type: 'string',
+              description: 'Only generations on or after this date (ISO 8601)'
+            },
+            until: {
+              type: 'string',
+              description: 'Only generations on or before this date (ISO 8601)'
             },
-            steps: {
+            limit: {
               type: 'integer',
-              description: 'Generation steps (1-50, default 28)',
-              default: 28
+              minimum: 1,
+              maximum: 100,
+              description: 'Maximum number of entries (1-100, default 20)',
+              default: 20
+            }
+          },
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'flux_regenerate',
+        description: 'Re-run a previous generation from its history entry, task ID or saved image, optionally on another model or with changed parameters',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            source: {
+              type: 'string',
+              minLength: 1,
+              description: 'History entry ID, task ID, or path to an image saved by this server'
+            },
+            tool: {
+              type: 'string',
+              enum: this.modelRegistry.list().map(model => model.tool),
+              description: 'Generate with this tool instead of the original one; parameters it does not support are dropped'
             },
-            guidance: {
-              type: 'number',
-              description: 'Guidance scale (1.5-5, default 3)',
-              default: 3
+            overrides: {
+              type: 'object',
+              description: 'Parameters to change, e.g. { "prompt": "...", "guidance": 4 }'
             },
-            seed: {
+            seed_offset: {
               type: 'integer',
-              description: 'Seed for reproducibility'
+              description: 'Add this to the original seed, e.g. 1 for "same as last time but seed+1"'
             },
             output_path: {
               type: 'string',
-              description: 'Custom output path for the generated image'
+              description: 'Directory to save to (defaults to the original image\'s directory)'
             },
             filename: {
               type: 'string',
-              description: 'Custom filename without extension'
-            },
-            safety_tolerance: {
-              type: 'integer',
-              description: 'Safety tolerance (0-6, default 2)',
-              default: 2
+              description: 'Custom filename without extension (optional)'
             },
-            prompt_upsampling: {
+            async: {
               type: 'boolean',
-              description: 'Enable prompt upsampling',
+              description: 'Return a task ID immediately instead of waiting',
               default: false
             }
           },
-          required: ['prompt']
+          required: ['source'],
+          additionalProperties: false
         }
       },
       {
-        name: 'flux_pro_11_generate',
-        description: 'Generate images using FLUX 1.1 [pro] - latest model with improved quality and faster generation',
+        name: 'flux_batch_generate',
+        description: `Generate up to ${MAX_BATCH_SIZE} images in one call - one prompt with several seeds, or a list of prompts - submitted in parallel and saved as a named batch`,
         inputSchema: {
           type: 'object',
           properties: {
-            prompt: {
+            tool: {
               type: 'string',
-              description: 'Text prompt for image generation'
+              enum: this.modelRegistry.list().map(model => model.tool),
+              description: 'Generation tool to use for every image'
             },
-            image_prompt: {
+            prompt: {
               type: 'string',
-              description: 'Optional base64 encoded image for Flux Redux'
+              minLength: 1,
+              description: 'Prompt for every image; combine with seeds or count'
             },
-            width: {
-              type: 'integer',
-              description: 'Width in pixels (multiple of 32, 256-1440)',
-              default: 1024
+            seeds: {
+              type: 'array',
+              items: { type: 'integer' },
+              description: 'One image per seed for the prompt'
             },
-            height: {
+            count: {
               type: 'integer',
-              description: 'Height in pixels (multiple of 32, 256-1440)',
-              default: 768
+              minimum: 1,
+              maximum: MAX_BATCH_SIZE,
+              description: 'Number of images for the prompt, each with a random recorded seed'
             },
-            seed: {
-              type: 'integer',
-              description: 'Seed for reproducibility'
+            prompts: {
+              type: 'array',
+              items: { type: 'string', minLength: 1 },
+              description: 'One image per prompt, instead of prompt'
             },
-            output_path: {
+            parameters: {
+              type: 'object',
+              description: 'Parameters shared by every image, as accepted by the chosen tool (e.g. { "width": 1024, "steps": 40 })'
+            },
+            name: {
               type: 'string',
-              description: 'Custom output path for the generated image'
+              description: 'Base filename for the batch (defaults to the prompt)'
             },
-            filename: {
+            output_path: {
               type: 'string',
-              description: 'Custom filename without extension'
+              description: 'Directory to save the batch to (optional)'
             },
-            safety_tolerance: {
+            concurrency: {
               type: 'integer',
-              description: 'Safety tolerance (0-6, default 2)',
-              default: 2
+              minimum: 1,
+              maximum: 10,
+              description: `Maximum generations in flight at once (default ${this.batchConcurrency})`
             },
-            prompt_upsampling: {
-              type: 'boolean',
-              description: 'Enable prompt upsampling',
-              default: false
+            tags: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Labels stored in the generation history for every image (optional)'
             }
           },
-          required: ['prompt']
+          required: ['tool'],
+          additionalProperties: false
         }
       },
       {
-        name: 'flux_kontext_pro_generate',
-        description: 'Edit or create images using Flux Kontext Pro - specialized for image-to-image transformations and edits',
+        name: 'flux_parameter_sweep',
+        description: `Run a grid of one prompt over parameter values (e.g. guidance × steps, up to ${MAX_BATCH_SIZE} cells) with a fixed seed and get a table mapping each cell to its saved file`,
         inputSchema: {
           type: 'object',
           properties: {
-            prompt: {
+            tool: {
               type: 'string',
-              description: 'Text prompt describing the desired output'
+              enum: this.modelRegistry.list().map(model => model.tool),
+              description: 'Generation tool to sweep'
             },
-            input_image: {
+            prompt: {
               type: 'string',
-              description: 'Base64 encoded input image or URL to edit/transform'
+              minLength: 1,
+              description: 'Prompt for every cell'
             },
-            aspect_ratio: {
-              type: 'string',
-              description: 'Aspect ratio between 21:9 and 9:21 (e.g., \'16:9\', \'1:1\', \'4:3\')'
+            axes: {
+              type: 'object',
+              description: 'Parameter name to the list of values to try, e.g. { "guidance": [2, 3, 4], "steps": [20, 40] }'
             },
-            seed: {
-              type: 'integer',
-              description: 'Seed for reproducibility'
+            parameters: {
+              type: 'object',
+              description: 'Parameters held constant across the grid; without a seed one random seed is used for every cell'
             },
-            output_path: {
+            name: {
               type: 'string',
-              description: 'Custom output path for the generated image'
+              description: 'Base filename for the sweep (defaults to the prompt)'
             },
-            filename: {
+            output_path: {
               type: 'string',
-              description: 'Custom filename without extension'
+              description: 'Directory to save the sweep to (optional)'
             },
-            safety_tolerance: {
+            concurrency: {
               type: 'integer',
-              description: 'Safety tolerance (0-2, default 2)',
-              default: 2
+              minimum: 1,
+              maximum: 10,
+              description: `Maximum generations in flight at once (default ${this.batchConcurrency})`
             },
-            prompt_upsampling: {
-              type: 'boolean',
-              description: 'Enable prompt upsampling',
-              default: false
+            tags: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Labels stored in the generation history for every image (optional)'
             }
           },
-          required: ['prompt']
+          required: ['tool', 'prompt', 'axes'],
+          additionalProperties: false
         }
       },
       {
-        name: 'flux_kontext_max_generate',
-        description: 'Edit or create images using Flux Kontext Max - maximum quality for image-to-image transformations',
+        name: 'flux_read_image_metadata',
+        description: 'Read the prompt, model, seed, task ID, timestamp and parameters embedded in an image saved by this server',
         inputSchema: {
           type: 'object',
           properties: {
-            prompt: {
+            path: {
               type: 'string',
-              description: 'Text prompt describing the desired output'
+              minLength: 1,
+              description: 'Saved image path: absolute, ~/, relative to the workspace or output directory, or a file:// URL'
+            }
+          },
+          required: ['path'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'flux_make_contact_sheet',
+        description: 'Tile saved images into one labeled PNG grid - seed, model and parameters under each image - from a list of paths or a batch/history ID',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            paths: {
+              type: 'array',
+              items: { type: 'string', minLength: 1 },
+              minItems: 1,
+              maxItems: MAX_CONTACT_SHEET_IMAGES,
+              description: 'Saved image paths: absolute, ~/, relative to the workspace or output directory, or file:// URLs'
             },
-            input_image: {
+            id: {
               type: 'string',
-              description: 'Base64 encoded input image or URL to edit/transform'
+              minLength: 1,
+              description: 'Batch ID from flux_batch_generate or flux_parameter_sweep, or a history/task ID, instead of paths'
             },
-            aspect_ratio: {
-              type: 'string',
-              description: 'Aspect ratio between 21:9 and 9:21'
+            columns: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 20,
+              description: 'Grid columns (default: square-ish grid)'
             },
-            seed: {
+            tile_size: {
               type: 'integer',
-              description: 'Seed for reproducibility'
+              minimum: 64,
+              maximum: 1024,
+              description: 'Longest side of each tile in pixels (default: 256)'
             },
             output_path: {
               type: 'string',
-              description: 'Custom output path for the generated image'
+              description: 'Directory for the contact sheet (default: the output directory)'
             },
             filename: {
               type: 'string',
-              description: 'Custom filename without extension'
-            },
-            safety_tolerance: {
-              type: 'integer',
-              description: 'Safety tolerance (0-2, default 2)',
-              default: 2
-            },
-            prompt_upsampling: {
-              type: 'boolean',
-              description: 'Enable prompt upsampling',
-              default: false
+              description: 'File name for the contact sheet; .png is added if missing'
             }
           },
-          required: ['prompt']
+          additionalProperties: false
         }
       }
     ];
   }
 
-  async callTool(toolName, args = {}) {
+  async callTool(toolName, args = {}, context = {}) {
     // Validate tool exists
-    if (!this.endpointMap[toolName]) {
+    const tool = (await this.listTools()).find(candidate => candidate.name === toolName);
+    if (!tool) {
       throw new Error(`Unknown tool: ${toolName}`);
     }
 
-    // Validate required parameters
-    if (!args.prompt) {
-      return {
-        type: 'text',
-        text: '❌ Error: prompt is required'
-      };
+    const violations = this.validateArguments(tool, args);
+    if (violations.length > 0) {
+      return this.invalidArgumentsResult(toolName, violations);
     }
 
-    // Validate dimensions (must be multiple of 32)
-    if (args.width && args.width % 32 !== 0) {
-      return {
-        type: 'text',
-        text: '❌ Error: width must be a multiple of 32'
-      };
+    const utilityTool = [this.taskTools, this.historyTools, this.batchTools, this.fileTools]
+      .map(tools => tools[toolName])
+      .find(Boolean);
+    if (utilityTool) {
+      return utilityTool(args, context);
     }
 
-    if (args.height && args.height % 32 !== 0) {
+    let task = null;
+    try {
+      const imageInputs = await this.resolveImageInputs(toolName, args, context);
+      task = await this.submitTask(toolName, args, context, imageInputs);
+
+      if (args.async) {
+        return {
+          type: 'text',
+          text: this.formatSubmitted(task)
+        };
+      }
+
+      // Wait for completion on the host that accepted the task
+      const completionResult = await this.apiClient.waitForCompletion(task.taskId, {
+        pollingUrl: task.pollingUrl,
+        onProgress: this.createProgressReporter(task, context),
+        signal: context.signal
+      });
+
+      const { imageUrl, saveResult } = await this.saveTaskResult(task, completionResult, {}, context);
+
+      return this.successResult(task, imageUrl, saveResult);
+
+    } catch (error) {
+      if (context.signal?.aborted) {
+        return this.cancelledResult(task);
+      }
+      if (task) {
+        this.updateTask(task, { status: 'Failed', error: error.message });
+        await this.recordHistory(task, { status: 'failed', error: error.message });
+      }
       return {
+        isError: true,
         type: 'text',
-        text: '❌ Error: height must be a multiple of 32'
+        text: this.formatToolError(toolName, error)
       };
     }
+  }
 
-    // Validate safety tolerance
-    if (args.safety_tolerance && (args.safety_tolerance < 0 || args.safety_tolerance > 6)) {
-      return {
-        type: 'text',
-        text: '❌ Error: safety_tolerance must be between 0 and 6'
-      };
+  /**
+   * Check arguments against the tool's inputSchema, plus the model's own rules JSON
+   * Schema can't express. Returns every violation found.
+   */
+  validateArguments(tool, args) {
+    const violations = validateAgainstSchema(tool.inputSchema, args);
+
+    if (this.modelRegistry.has(tool.name)) {
+      violations.push(...this.modelRegistry.validateConstraints(tool.name, args));
     }
 
-    try {
-      // Get endpoint
-      const endpoint = this.endpointMap[toolName];
-      
-      // Filter out file management parameters for API call
-      const apiPayload = { ...args };
-      this.fileManagementParams.forEach(param => delete apiPayload[param]);
-
-      // Submit generation
-      const submissionResult = await this.apiClient.submitGeneration(endpoint, apiPayload);
-      const taskId = submissionResult.id;
-
-      // Wait for completion
-      const completionResult = await this.apiClient.waitForCompletion(taskId);
-
-      // Extract image URL
-      let imageUrl;
-      const resultData = completionResult.result;
-      
-      if (typeof resultData === 'object' && resultData.sample) {
-        imageUrl = resultData.sample;
-      } else if (Array.isArray(resultData) && resultData.length > 0) {
-        imageUrl = typeof resultData[0] === 'string' ? resultData[0] : resultData[0].sample;
-      } else {
-        throw new Error('No image URL found in result');
+    return violations;
+  }
+
+  invalidArgumentsResult(toolName, violations) {
+    const lines = [
+      `❌ Error: invalid arguments for ${toolName}`,
+      ...violations.map(violation => `- ${violation.message}`)
+    ];
+
+    return {
+      isError: true,
+      type: 'text',
+      text: lines.join('\n'),
+      structuredContent: { error: 'invalid_arguments', tool: toolName, violations }
+    };
+  }
+
+  /**
+   * Load image arguments given as path, URL or base64 and return the base64 payload
+   * fields that replace them; the task keeps the original arguments.
+   */
+  async resolveImageInputs(toolName, args, context = {}) {
+    const inputs = {};
+
+    for (const field of ['image_prompt', 'input_image']) {
+      if (args[field]) {
+        inputs[field] = await this.fileManager.encodeImageInput(args[field]);
       }
+    }
 
-      // Save the image
-      const model = toolName.replace('_generate', '').replace('_', '-');
-      const saveResult = await this.fileManager.saveGeneratedImage(imageUrl, {
-        outputPath: args.output_path,
-        filename: args.filename,
-        prompt: args.prompt,
-        model,
-        outputFormat: args.output_format
-      });
+    return { ...inputs, ...await this.resolveEditInputs(toolName, args, context) };
+  }
 
-      // Return detailed success message
-      const modelDisplayName = toolName.split('_').map(word => 
-        word.charAt(0).toUpperCase() + word.slice(1)
-      ).join(' ');
+  async resolveEditInputs(toolName, args, context) {
+    switch (this.modelRegistry.get(toolName).operation) {
+    case 'fill':
+      return this.resolveFillInputs(args, context);
+    case 'expand':
+      return this.resolveExpandInputs(args, context);
+    case 'control':
+      return this.resolveControlInputs(args, context);
+    default:
+      return {};
+    }
+  }
 
-      return {
-        type: 'text',
-        text: `✅ **Image Generated Successfully!**
+  async resolveFillInputs(args, context) {
+    if (!args.image) {
+      throw new Error('image is required');
+    }
 
-🎨 **Model:** ${modelDisplayName}
-📝 **Prompt:** ${args.prompt.substring(0, 100)}${args.prompt.length > 100 ? '...' : ''}
-💾 **Saved to:** ${saveResult.savedPath}
-🆔 **Task ID:** ${taskId}
-🔗 **Original URL:** ${imageUrl}
+    const image = await this.fileManager.loadImageInput(args.image, { signal: context.signal });
+    const inputs = { image: image.toString('base64') };
 
-**Generation Parameters:**
-- Dimensions: ${args.width || 'default'}x${args.height || 'default'}
-- Seed: ${args.seed || 'random'}
-- Steps: ${args.steps || 'default'}
-- Guidance: ${args.guidance || 'default'}
-- Safety: ${args.safety_tolerance || 2}
+    if (args.mask) {
+      const mask = await this.fileManager.loadImageInput(args.mask, { signal: context.signal });
+      const imageSize = getImageDimensions(image);
+      const maskSize = getImageDimensions(mask);
 
-The image is ready to use in your project! 🚀`
-      };
+      if (imageSize.width !== maskSize.width || imageSize.height !== maskSize.height) {
+        throw new Error(`mask is ${maskSize.width}x${maskSize.height} but image is ${imageSize.width}x${imageSize.height} - they must match`);
+      }
+      inputs.mask = mask.toString('base64');
+    }
 
-    } catch (error) {
-      return {
-        type: 'text',
-        text: `❌ Error executing ${toolName}: ${error.message}`
-      };
+    return inputs;
+  }
+
+  async resolveExpandInputs(args, context) {
+    if (!args.image) {
+      throw new Error('image is required');
+    }
+
+    const sides = ['top', 'bottom', 'left', 'right'];
+    const hasSides = sides.some(side => args[side] !== undefined);
+
+    if (hasSides && args.aspect_ratio !== undefined) {
+      throw new Error('give either top/bottom/left/right or aspect_ratio, not both');
+    }
+
+    const image = await this.fileManager.loadImageInput(args.image, { signal: context.signal });
+    const extensions = args.aspect_ratio !== undefined
+      ? this.getExpansionForAspectRatio(getImageDimensions(image), args.aspect_ratio)
+      : Object.fromEntries(sides.map(side => [side, args[side] ?? 0]));
+
+    for (const side of sides) {
+      const value = extensions[side];
+      if (!Number.isInteger(value) || value < 0 || value > 2048) {
+        throw new Error(`${side} must be an integer between 0 and 2048`);
+      }
+    }
+
+    if (sides.every(side => extensions[side] === 0)) {
+      throw new Error('nothing to expand - set top/bottom/left/right or aspect_ratio');
+    }
+
+    return { image: image.toString('base64'), ...extensions };
+  }
+
+  async resolveControlInputs(args, context) {
+    if (!args.control_image) {
+      throw new Error('control_image is required');
+    }
+
+    const controlImage = await this.fileManager.loadImageInput(args.control_image, { signal: context.signal });
+    const field = args.preprocessed ? 'preprocessed_image' : 'control_image';
+
+    // preprocessed only picks which API field carries the image
+    return {
+      control_image: undefined,
+      [field]: controlImage.toString('base64')
+    };
+  }
+
+  /**
+   * Split the padding needed to reach the target ratio evenly across the two
+   * sides of the axis that has to grow.
+   */
+  getExpansionForAspectRatio({ width, height }, aspectRatio) {
+    const target = parseAspectRatio(aspectRatio);
+    if (!target) {
+      throw new Error('aspect_ratio must look like \'16:9\'');
+    }
+
+    const extensions = { top: 0, bottom: 0, left: 0, right: 0 };
+    const targetWidth = Math.round(height * target.width / target.height);
+    const targetHeight = Math.round(width * target.height / target.width);
+
+    if (targetWidth > width) {
+      extensions.left = Math.floor((targetWidth - width) / 2);
+      extensions.right = targetWidth - width - extensions.left;
+    } else if (targetHeight > height) {
+      extensions.top = Math.floor((targetHeight - height) / 2);
+      extensions.bottom = targetHeight - height - extensions.top;
+    } else {
+      throw new Error(`image is already ${aspectRatio} (${width}x${height})`);
+    }
+
+    return extensions;
+  }
+
+  /**
+   * Filename tag describing the edit, so expanded files say how they were made.
+   */
+  describeOperation(task) {
+    if (this.modelRegistry.get(task.toolName)?.operation !== 'expand') {
+      return null;
+    }
+
+    const { args } = task;
+    if (args.aspect_ratio) {
+      return `to-${String(args.aspect_ratio).replace(':', 'x')}`;
+    }
+
+    const sides = { top: 't', bottom: 'b', left: 'l', right: 'r' };
+    const parts = Object.entries(sides)
+      .filter(([side]) => args[side] > 0)
+      .map(([side, letter]) => `${letter}${args[side]}`);
+    return parts.join('-');
+  }
+
+  async submitTask(toolName, args, context = {}, inputs = {}) {
+    const endpoint = this.endpointMap[toolName];
+
+    // Only the model's own API fields are sent; resolved image inputs replace the originals
+    const apiPayload = Object.fromEntries(
+      Object.entries({ ...this.modelRegistry.buildPayload(toolName, args), ...inputs })
+        .filter(([, value]) => value !== undefined)
+    );
+
+    const submissionResult = await this.apiClient.submitGeneration(endpoint, apiPayload, {
+      signal: context.signal
+    });
+
+    const task = this.taskRegistry.register({
+      taskId: submissionResult.id,
+      pollingUrl: submissionResult.polling_url,
+      toolName,
+      endpoint,
+      args,
+      payload: GenerationHistory.sanitizeParameters(apiPayload),
+      lineage: context.lineage ?? null,
+      batchId: context.batchId ?? null
+    });
+
+    await this.recordHistory(task, {
+      tool: toolName,
+      endpoint,
+      prompt: args.prompt,
+      parameters: GenerationHistory.sanitizeParameters(args),
+      seed: args.seed ?? null,
+      tags: args.tags || [],
+      ...(task.lineage && { parentId: task.lineage.parentId, lineage: task.lineage }),
+      ...(task.batchId && { batchId: task.batchId }),
+      status: 'pending',
+      createdAt: task.createdAt
+    });
+
+    return task;
+  }
+
+  /**
+   * Append to the persistent history. Completion changes carry timing; failures to
+   * write are swallowed because history must never break a generation.
+   */
+  async recordHistory(task, changes) {
+    if (!this.history) {
+      return;
+    }
+
+    const entry = { id: task.taskId, taskId: task.taskId, ...changes };
+    if (changes.status !== 'pending') {
+      entry.completedAt = new Date().toISOString();
+      entry.durationMs = Date.now() - Date.parse(task.createdAt);
+    }
+
+    try {
+      await this.history.record(entry);
+    } catch {
+      // Disk trouble is reported by saving, not by bookkeeping
+    }
+  }
+
+  extractImageUrl(resultData) {
+    if (resultData && typeof resultData === 'object' && resultData.sample) {
+      return resultData.sample;
+    }
+    if (Array.isArray(resultData) && resultData.length > 0) {
+      return typeof resultData[0] === 'string' ? resultData[0] : resultData[0].sample;
+    }
+    throw new Error('No image URL found in result');
+  }
+
+  async saveTaskResult(task, completionResult, overrides = {}, context = {}) {
+    const { args } = task;
+    const { imageUrl, ...saveOptions } = this.buildSaveOptions(task, completionResult);
+
+    const saveResult = await this.fileManager.saveGeneratedImage(imageUrl, {
+      outputPath: overrides.output_path ?? args.output_path,
+      filename: overrides.filename ?? args.filename,
+      ...saveOptions,
+      signal: context.signal
+    });
+
+    await this.markTaskSaved(task, imageUrl, saveResult, saveOptions.metadata.seed);
+    this.emit('resourcesChanged');
+    return { imageUrl, saveResult };
+  }
+
+  /**
+   * Everything FileManager needs to save a finished task, apart from where to put it:
+   * the image URL, a model label for the filename, embedded metadata and the manifest.
+   */
+  buildSaveOptions(task, completionResult) {
+    const { args } = task;
+
+    const operation = this.describeOperation(task);
+    const baseModel = task.toolName
+      ? task.toolName.replace('_generate', '').replace('_', '-')
+      : 'flux';
+    const model = operation ? `${baseModel}-${operation}` : baseModel;
+
+    return {
+      imageUrl: this.extractImageUrl(completionResult.result),
+      prompt: args.prompt,
+      model,
+      outputFormat: args.output_format,
+      metadata: {
+        prompt: args.prompt,
+        model,
+        tool: task.toolName,
+        endpoint: task.endpoint,
+        seed: completionResult.result?.seed ?? args.seed ?? null,
+        taskId: task.taskId,
+        createdAt: task.createdAt,
+        parameters: GenerationHistory.sanitizeParameters(args),
+        ...(task.batchId && { batchId: task.batchId }),
+        ...(task.lineage && { lineage: task.lineage })
+      },
+      manifest: {
+        request: task.payload ?? null,
+        response: completionResult,
+        expert: args.prompt ? this.expertPrompts.suggestExpert(args.prompt) : null,
+        ...(task.lineage && { lineage: task.lineage })
+      }
+    };
+  }
+
+  async markTaskSaved(task, imageUrl, saveResult, seed) {
+    this.updateTask(task, {
+      status: 'Ready',
+      progress: 100,
+      imageUrl,
+      saveResult,
+      error: null
+    });
+
+    await this.recordHistory(task, {
+      status: 'success',
+      seed,
+      imageUrl,
+      savedPath: saveResult.savedPath,
+      error: null
+    });
+  }
+
+  getTaskRecord(taskId) {
+    // Tasks from before a restart are unknown here but still pollable by ID; they join
+    // the registry on their first update from BFL, so made-up IDs never evict real tasks
+    return this.taskRegistry.get(taskId) ||
+      TaskRegistry.createRecord({ taskId, pollingUrl: null, toolName: null, endpoint: null, args: {} });
+  }
+
+  updateTask(task, changes) {
+    if (!this.taskRegistry.has(task.taskId)) {
+      if (changes.status === 'Task not found') {
+        return Object.assign(task, changes);
+      }
+      // An unconfirmed lookup, or a task evicted while it was still running
+      this.taskRegistry.add(task);
+    }
+    return this.taskRegistry.update(task.taskId, changes);
+  }
+
+  async getTaskStatus(args = {}, context = {}) {
+    if (!args.task_id) {
+      return {
+        isError: true,
+        type: 'text',
+        text: '❌ Error: task_id is required'
+      };
+    }
+
+    const task = this.getTaskRecord(args.task_id);
+
+    try {
+      // Saved results are final and BFL URLs expire, so skip the round-trip
+      if (!task.saveResult) {
+        const result = await this.apiClient.getResult(task.taskId, {
+          pollingUrl: task.pollingUrl,
+          signal: context.signal
+        });
+        this.updateTask(task, {
+          status: result.status,
+          progress: typeof result.progress === 'number' ? result.progress : task.progress
+        });
+      }
+
+      return {
+        isError: FAILED_STATUSES.includes(task.status),
+        type: 'text',
+        text: this.formatTaskStatus(task)
+      };
+    } catch (error) {
+      return {
+        isError: true,
+        type: 'text',
+        text: this.formatToolError('flux_get_task_status', error)
+      };
+    }
+  }
+
+  async fetchTaskResult(args = {}, context = {}) {
+    if (!args.task_id) {
+      return {
+        isError: true,
+        type: 'text',
+        text: '❌ Error: task_id is required'
+      };
+    }
+
+    const task = this.getTaskRecord(args.task_id);
+
+    if (task.saveResult) {
+      return this.successResult(task, task.imageUrl, task.saveResult);
+    }
+
+    try {
+      const result = args.wait
+        ? await this.apiClient.waitForCompletion(task.taskId, {
+          pollingUrl: task.pollingUrl,
+          onProgress: this.createProgressReporter(task, context),
+          signal: context.signal
+        })
+        : await this.apiClient.getResult(task.taskId, {
+          pollingUrl: task.pollingUrl,
+          signal: context.signal
+        });
+
+      if (result.status !== 'Ready') {
+        this.updateTask(task, {
+          status: result.status,
+          progress: typeof result.progress === 'number' ? result.progress : task.progress
+        });
+        if (FAILED_STATUSES.includes(result.status)) {
+          await this.recordHistory(task, { status: 'failed', error: `Task failed: ${result.status}` });
+        }
+        return {
+          isError: FAILED_STATUSES.includes(result.status),
+          type: 'text',
+          text: this.formatTaskStatus(task)
+        };
+      }
+
+      const { imageUrl, saveResult } = await this.saveTaskResult(task, result, args, context);
+
+      return this.successResult(task, imageUrl, saveResult);
+    } catch (error) {
+      if (context.signal?.aborted) {
+        return this.cancelledResult(task);
+      }
+      return {
+        isError: true,
+        type: 'text',
+        text: this.formatToolError('flux_fetch_result', error)
+      };
+    }
+  }
+
+  /**
+   * Build an onProgress callback for waitForCompletion that keeps the task record
+   * current and, when the client sent a progressToken, emits notifications/progress.
+   */
+  createProgressReporter(task, context = {}) {
+    const { progressToken, sendNotification } = context;
+    const startTime = Date.now();
+    let lastProgress = 0;
+
+    return (result) => {
+      const percent = typeof result.progress === 'number' ? result.progress : null;
+      this.updateTask(task, {
+        status: result.status,
+        progress: percent ?? task.progress
+      });
+
+      if (progressToken === undefined || !sendNotification) {
+        return;
+      }
+
+      // MCP requires strictly increasing progress, so creep forward while BFL's value stalls
+      let progress;
+      if (result.status === 'Ready') {
+        progress = 100;
+      } else if (percent !== null && percent > lastProgress) {
+        progress = Math.min(percent, 99);
+      } else {
+        progress = Math.min(Math.round((lastProgress + 0.1) * 10) / 10, 99);
+      }
+
+      if (progress <= lastProgress) {
+        return;
+      }
+      lastProgress = progress;
+
+      const elapsedSeconds = Math.round((Date.now() - startTime) / 1000);
+      const details = [result.status, `${elapsedSeconds}s elapsed`];
+      if (percent !== null) {
+        details.push(`${Math.round(percent)}%`);
+      }
+
+      try {
+        sendNotification('notifications/progress', {
+          progressToken,
+          progress,
+          total: 100,
+          message: details.join(' – ')
+        });
+      } catch {
+        // A vanished client must not break the generation itself
+      }
+    };
+  }
+
+  async cancelledResult(task) {
+    const lines = ['🛑 **Generation cancelled** - polling stopped and nothing was saved.'];
+
+    if (task) {
+      // Cancelling only stops our side; BFL may still finish (and bill) the task
+      this.updateTask(task, { status: 'Cancelled' });
+      await this.recordHistory(task, { status: 'cancelled' });
+      lines.push(`🆔 **Task ID:** ${task.taskId}`);
+    }
+
+    return {
+      isError: true,
+      type: 'text',
+      text: lines.join('\n')
+    };
+  }
+
+  /**
+   * Expand a batch request into one job per seed or prompt, with the variation name
+   * each image is saved under. Returns { jobs } or { error }.
+   */
+  planBatch(args) {
+    const { prompt, prompts, seeds, count } = args;
+
+    if (Boolean(prompt) === Boolean(prompts)) {
+      return { error: 'pass either prompt (with seeds or count) or prompts' };
+    }
+
+    let jobs;
+    if (prompts) {
+      if (seeds || count) {
+        return { error: 'seeds and count apply to a single prompt; set parameters.seed to fix the seed for every prompt' };
+      }
+      jobs = prompts.map((text, index) => ({
+        prompt: text,
+        variation: `${String(index + 1).padStart(2, '0')}_${this.slugify(text)}`
+      }));
+    } else {
+      if (Boolean(seeds) === Boolean(count)) {
+        return { error: 'pass either seeds or count with prompt' };
+      }
+      // Each seed names its file, so a repeated seed would overwrite the first image
+      if (seeds && new Set(seeds).size !== seeds.length) {
+        return { error: 'seeds must not repeat - the same seed gives the same image' };
+      }
+      // Random seeds are chosen here so every image can be reproduced later
+      const batchSeeds = seeds || Array.from({ length: count }, () => Math.floor(Math.random() * 2 ** 31));
+      jobs = batchSeeds.map(seed => ({ prompt, seed, variation: `seed${seed}` }));
+    }
+
+    if (jobs.length === 0 || jobs.length > MAX_BATCH_SIZE) {
+      return { error: `a batch needs between 1 and ${MAX_BATCH_SIZE} images` };
+    }
+
+    return { jobs };
+  }
+
+  slugify(text, words = 4) {
+    return text.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).slice(0, words).join('_') || 'image';
+  }
+
+  async batchGenerate(args, context = {}) {
+    const plan = this.planBatch(args);
+    if (plan.error) {
+      return {
+        isError: true,
+        type: 'text',
+        text: `❌ Error: ${plan.error}`
+      };
+    }
+
+    const shared = this.getSharedParameters(args.parameters);
+    const jobs = plan.jobs.map(job => ({
+      ...job,
+      args: {
+        ...shared,
+        prompt: job.prompt,
+        ...(job.seed !== undefined && { seed: job.seed }),
+        ...(args.tags && { tags: args.tags })
+      }
+    }));
+
+    return this.runBatch(args.tool, jobs, args, context);
+  }
+
+  // Where and how images are saved is decided by the batch, not per image
+  getSharedParameters(parameters = {}) {
+    return Object.fromEntries(Object.entries(parameters)
+      .filter(([key]) => !['output_path', 'filename', 'async'].includes(key)));
+  }
+
+  /**
+   * Validate, submit and poll a list of jobs under the concurrency limit, saving each image
+   * as it finishes and the batch manifest at the end. `format` renders the summary rows.
+   */
+  async runBatch(toolName, jobs, options, context = {}, format = null) {
+    // Shared parameters are checked once per distinct message, not once per image
+    const tool = this.modelRegistry.getToolDefinition(toolName);
+    const violations = [...new Map(
+      jobs.flatMap(job => this.validateArguments(tool, job.args)).map(violation => [violation.message, violation])
+    ).values()];
+    if (violations.length > 0) {
+      return this.invalidArgumentsResult(toolName, violations);
+    }
+
+    // Sweeps may vary the inputs themselves (image, mask, expand margins...), so each
+    // distinct set of arguments is resolved once, up front, before anything is billed
+    const resolved = new Map();
+    let inputs;
+    try {
+      inputs = [];
+      for (const job of jobs) {
+        const key = JSON.stringify(Object.entries(job.args).filter(([name]) => !['prompt', 'seed'].includes(name)));
+        if (!resolved.has(key)) {
+          resolved.set(key, await this.resolveImageInputs(toolName, job.args, context));
+        }
+        inputs.push(resolved.get(key));
+      }
+    } catch (error) {
+      return {
+        isError: true,
+        type: 'text',
+        text: this.formatToolError(toolName, error)
+      };
+    }
+
+    const batchId = `batch-${randomUUID().slice(0, 8)}`;
+    const batchContext = { ...context, batchId };
+    const batchOptions = {
+      basePrompt: options.name || options.prompt || 'batch',
+      outputPath: options.output_path,
+      batchId,
+      manifest: { tool: toolName },
+      signal: context.signal
+    };
+    let completed = 0;
+
+    const outcomes = await mapWithConcurrency(jobs, options.concurrency || this.batchConcurrency, async (job, index) => {
+      let task = null;
+      try {
+        if (context.signal?.aborted) {
+          return { job, error: 'cancelled' };
+        }
+        task = await this.submitTask(toolName, job.args, batchContext, inputs[index]);
+        const completionResult = await this.apiClient.waitForCompletion(task.taskId, {
+          pollingUrl: task.pollingUrl,
+          onProgress: this.createProgressReporter(task),
+          signal: context.signal
+        });
+        // Result URLs expire after about 10 minutes, so each image is saved once it is ready
+        const saveResult = await this.saveBatchImage(job, task, completionResult, batchOptions);
+        return { job, task, saveResult };
+      } catch (error) {
+        if (task && !context.signal?.aborted) {
+          this.updateTask(task, { status: 'Failed', error: error.message });
+          await this.recordHistory(task, { status: 'failed', error: error.message });
+        }
+        return { job, task, error: error.message };
+      } finally {
+        completed++;
+        this.reportBatchProgress(context, completed, jobs.length);
+      }
+    });
+
+    const saved = outcomes.filter(outcome => outcome.saveResult);
+    let manifestPath = null;
+    let manifestError = null;
+    if (saved.length > 0) {
+      try {
+        manifestPath = await this.fileManager.writeBatchManifest(saved.map(outcome => outcome.saveResult), batchOptions);
+      } catch (error) {
+        manifestError = error.message;
+      }
+    }
+
+    const rows = outcomes.map(({ job, task, saveResult, error }) => ({
+      variation: job.variation,
+      prompt: job.prompt,
+      seed: saveResult ? saveResult.seed : job.seed ?? null,
+      taskId: task?.taskId ?? null,
+      savedPath: saveResult?.savedPath ?? null,
+      error: error ?? null,
+      ...(job.values && { values: job.values })
+    }));
+
+    if (context.signal?.aborted) {
+      return this.batchCancelledResult(toolName, batchId, outcomes, rows, manifestPath);
+    }
+
+    const text = format
+      ? format(batchId, rows, manifestPath)
+      : this.formatBatch(toolName, batchId, rows, manifestPath);
+
+    return {
+      isError: saved.length === 0,
+      type: 'text',
+      text: manifestError ? `${text}\n\n⚠️ ${manifestError}` : text,
+      structuredContent: { batchId, tool: toolName, results: rows }
+    };
+  }
+
+  // Same shape as a cancelled single generation, keeping the rows of images already saved
+  async batchCancelledResult(toolName, batchId, outcomes, rows, manifestPath) {
+    for (const { task, saveResult } of outcomes) {
+      if (task && !saveResult) {
+        this.updateTask(task, { status: 'Cancelled' });
+        await this.recordHistory(task, { status: 'cancelled' });
+      }
+    }
+
+    const savedRows = rows.filter(row => row.savedPath);
+    const savedText = savedRows.length > 0
+      ? `${savedRows.length} of ${rows.length} images were saved before it stopped`
+      : 'nothing was saved';
+    const lines = [
+      `🛑 **Batch cancelled** - polling stopped and ${savedText}.`,
+      `🗂️ **Batch ID:** ${batchId}`
+    ];
+    if (manifestPath) {
+      lines.push(`📋 **Manifest:** ${manifestPath}`);
+    }
+
+    return {
+      isError: true,
+      type: 'text',
+      text: lines.join('\n'),
+      structuredContent: { batchId, tool: toolName, cancelled: true, results: savedRows }
+    };
+  }
+
+  async saveBatchImage(job, task, completionResult, batchOptions) {
+    const { imageUrl, ...saveOptions } = this.buildSaveOptions(task, completionResult);
+    const saveResult = await this.fileManager.saveBatchImage(
+      { url: imageUrl, variation: job.variation, ...saveOptions },
+      batchOptions
+    );
+
+    await this.markTaskSaved(task, imageUrl, saveResult, saveResult.seed);
+    this.emit('resourcesChanged');
+    return saveResult;
+  }
+
+  /**
+   * Expand sweep axes into the cartesian product of their values. Returns { cells } or { error }.
+   */
+  planSweep(axes) {
+    const entries = Object.entries(axes);
+    if (entries.length === 0) {
+      return { error: 'axes needs at least one parameter to vary' };
+    }
+
+    for (const [name, values] of entries) {
+      if (['output_path', 'filename', 'async', 'tags'].includes(name)) {
+        return { error: `${name} cannot be swept` };
+      }
+      if (!Array.isArray(values) || values.length === 0) {
+        return { error: `axes.${name} must be a non-empty list of values` };
+      }
+    }
+
+    const cells = entries.reduce(
+      (grid, [name, values]) => grid.flatMap(cell => values.map(value => ({ ...cell, [name]: value }))),
+      [{}]
+    );
+
+    if (cells.length > MAX_BATCH_SIZE) {
+      return { error: `a sweep of ${cells.length} cells is over the limit of ${MAX_BATCH_SIZE} images - drop some values` };
+    }
+
+    return { cells };
+  }
+
+  async parameterSweep(args, context = {}) {
+    const plan = this.planSweep(args.axes);
+    if (plan.error) {
+      return {
+        isError: true,
+        type: 'text',
+        text: `❌ Error: ${plan.error}`
+      };
+    }
+
+    const shared = this.getSharedParameters(args.parameters);
+    // One seed for the whole grid, so cells differ only in the swept values
+    const seed = 'seed' in args.axes ? undefined : shared.seed ?? Math.floor(Math.random() * 2 ** 31);
+    const variationValue = value => (typeof value === 'number' ? String(value) : this.slugify(String(value), 3));
+
+    const jobs = plan.cells.map(values => ({
+      prompt: values.prompt ?? args.prompt,
+      seed: values.seed ?? seed,
+      values,
+      variation: Object.entries(values).map(([name, value]) => `${name}${variationValue(value)}`).join('_'),
+      args: {
+        ...shared,
+        prompt: args.prompt,
+        ...(seed !== undefined && { seed }),
+        ...values,
+        ...(args.tags && { tags: args.tags })
+      }
+    }));
+
+    const axisNames = Object.keys(args.axes);
+    return this.runBatch(args.tool, jobs, args, context, (batchId, rows, manifestPath) =>
+      this.formatSweep(args.tool, axisNames, seed, batchId, rows, manifestPath));
+  }
+
+  formatSweep(toolName, axisNames, seed, batchId, rows, manifestPath) {
+    const saved = rows.filter(row => row.savedPath).length;
+    const lines = [
+      `${saved > 0 ? '✅' : '❌'} **Sweep Complete** - ${saved} of ${rows.length} cells saved`,
+      '',
+      `🎨 **Model:** ${this.getModelDisplayName(toolName)}`
+    ];
+    if (seed !== undefined) {
+      lines.push(`🎲 **Seed:** ${seed} (same for every cell)`);
+    }
+    lines.push(`🗂️ **Batch ID:** ${batchId}`);
+    if (manifestPath) {
+      lines.push(`📋 **Manifest:** ${manifestPath}`);
+    }
+
+    lines.push(
+      '',
+      `| ${axisNames.join(' | ')} | File |`,
+      `|${axisNames.map(() => '---|').join('')}------|`
+    );
+    for (const row of rows) {
+      const outcome = row.savedPath ? row.savedPath : `❌ ${row.error}`;
+      lines.push(`| ${axisNames.map(name => row.values[name]).join(' | ')} | ${outcome} |`);
+    }
+
+    return lines.join('\n');
+  }
+
+  reportBatchProgress(context, completed, total) {
+    const { progressToken, sendNotification } = context;
+    if (progressToken === undefined || !sendNotification) {
+      return;
+    }
+
+    sendNotification('notifications/progress', {
+      progressToken,
+      progress: completed,
+      total,
+      message: `${completed} of ${total} images finished`
+    });
+  }
+
+  formatBatch(toolName, batchId, rows, manifestPath) {
+    const saved = rows.filter(row => row.savedPath).length;
+    const lines = [
+      `${saved > 0 ? '✅' : '❌'} **Batch Complete** - ${saved} of ${rows.length} images saved`,
+      '',
+      `🎨 **Model:** ${this.getModelDisplayName(toolName)}`,
+      `🗂️ **Batch ID:** ${batchId}`
+    ];
+    if (manifestPath) {
+      lines.push(`📋 **Manifest:** ${manifestPath}`);
+    }
+
+    lines.push('', '| # | Variation | Seed | Result |', '|---|-----------|------|--------|');
+    rows.forEach((row, index) => {
+      const outcome = row.savedPath ? row.savedPath : `❌ ${row.error}`;
+      lines.push(`| ${index + 1} | ${row.variation} | ${row.seed ?? 'random'} | ${outcome} |`);
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Rebuild the arguments of an earlier generation and submit them again through
+   * callTool, recording where the new image came from.
+   */
+  async regenerate(args, context = {}) {
+    let source;
+    try {
+      source = await this.resolveRegenerationSource(args.source);
+    } catch (error) {
+      return {
+        isError: true,
+        type: 'text',
+        text: `❌ Error: ${error.message}`
+      };
+    }
+
+    const toolName = args.tool || source.tool;
+    if (!this.modelRegistry.has(toolName)) {
+      return {
+        isError: true,
+        type: 'text',
+        text: `❌ Error: ${toolName} is no longer available - pass tool to regenerate with another model`
+      };
+    }
+
+    const supported = this.modelRegistry.getToolDefinition(toolName).inputSchema.properties;
+    const regenerated = Object.fromEntries(
+      Object.entries({ ...source.parameters, seed: source.seed ?? source.parameters.seed, ...args.overrides })
+        .filter(([key, value]) => value !== undefined && value !== null && supported[key])
+    );
+
+    if (args.seed_offset !== undefined) {
+      if (typeof regenerated.seed !== 'number') {
+        return {
+          isError: true,
+          type: 'text',
+          text: '❌ Error: seed_offset needs the original seed, which was not recorded - pass overrides.seed instead'
+        };
+      }
+      regenerated.seed += args.seed_offset;
+    }
+
+    const missing = Object.keys(regenerated).filter(key => GenerationHistory.isOmitted(regenerated[key]));
+    if (missing.length > 0) {
+      return {
+        isError: true,
+        type: 'text',
+        text: `❌ Error: the original ${missing.join(', ')} ${missing.length > 1 ? 'were' : 'was'} too large to keep in history - pass ${missing.length > 1 ? 'them' : 'it'} again in overrides`
+      };
+    }
+
+    // Where and how the original was saved does not carry over
+    regenerated.output_path = args.output_path ?? (source.savedPath ? path.dirname(source.savedPath) : undefined);
+    regenerated.filename = args.filename;
+    regenerated.async = args.async;
+
+    const lineage = {
+      parentId: source.id,
+      parentTaskId: source.taskId,
+      parentTool: source.tool,
+      parentPath: source.savedPath,
+      overrides: { ...args.overrides, ...(args.seed_offset !== undefined && { seed_offset: args.seed_offset }) },
+      ...(args.tool && args.tool !== source.tool && { tool: args.tool })
+    };
+
+    const result = await this.callTool(toolName, regenerated, { ...context, lineage });
+    if (result.isError) {
+      return result;
+    }
+
+    return {
+      ...result,
+      text: `🧬 **Regenerated from:** ${source.savedPath || source.taskId} (task ${source.taskId})\n\n${result.text}`
+    };
+  }
+
+  /**
+   * Find the tool and parameters of an earlier generation by history ID, task ID
+   * (from history or this session) or saved image path (embedded metadata or sidecar).
+   */
+  async resolveRegenerationSource(reference) {
+    const entry = this.history ? await this.history.get(reference) : null;
+    if (entry?.tool && entry.parameters) {
+      return {
+        id: entry.id,
+        taskId: entry.taskId,
+        tool: entry.tool,
+        parameters: entry.parameters,
+        seed: entry.seed,
+        savedPath: entry.savedPath ?? null
+      };
+    }
+
+    const task = this.taskRegistry.get(reference);
+    if (task?.toolName) {
+      return {
+        id: task.taskId,
+        taskId: task.taskId,
+        tool: task.toolName,
+        parameters: GenerationHistory.sanitizeParameters(task.args),
+        seed: task.args.seed,
+        savedPath: task.saveResult?.savedPath ?? null
+      };
+    }
+
+    let image;
+    try {
+      image = await this.fileManager.readImageMetadata(reference);
+    } catch {
+      throw new Error(`No generation found for ${reference} - expected a history ID, task ID or saved image path`);
+    }
+
+    const { metadata } = image;
+    if (!metadata?.tool || !this.modelRegistry.has(metadata.tool)) {
+      throw new Error(`${image.path} has no generation metadata to regenerate from`);
+    }
+
+    return {
+      id: metadata.taskId,
+      taskId: metadata.taskId,
+      tool: metadata.tool,
+      parameters: metadata.parameters || { prompt: metadata.prompt },
+      seed: metadata.seed,
+      savedPath: image.path
+    };
+  }
+
+  async readImageMetadata(args = {}) {
+    try {
+      const { path: imagePath, format, metadata } = await this.fileManager.readImageMetadata(args.path);
+
+      if (!metadata) {
+        return {
+          type: 'text',
+          text: `🔎 No generation metadata found in ${imagePath}${format ? '' : ' (not a PNG, JPEG or WebP image)'}`
+        };
+      }
+
+      return {
+        type: 'text',
+        text: this.formatImageMetadata(imagePath, metadata),
+        structuredContent: { path: imagePath, format, metadata }
+      };
+    } catch (error) {
+      return {
+        isError: true,
+        type: 'text',
+        text: `❌ Error reading image metadata: ${error.message}`
+      };
+    }
+  }
+
+  async makeContactSheet(args = {}) {
+    if (Boolean(args.paths) === Boolean(args.id)) {
+      return {
+        isError: true,
+        type: 'text',
+        text: '❌ Error: provide either paths or id for the contact sheet'
+      };
+    }
+
+    try {
+      const imagePaths = args.paths || await this.resolveContactSheetImages(args.id);
+      const result = await this.fileManager.createContactSheet(imagePaths, {
+        outputPath: args.output_path,
+        filename: args.filename || (args.id && `${this.slugify(args.id, 8)}_contact_sheet`),
+        columns: args.columns,
+        tileSize: args.tile_size
+      });
+      this.emit('resourcesChanged');
+
+      return {
+        type: 'text',
+        text: [
+          '🖼️ **Contact sheet saved**',
+          '',
+          `📁 **File:** ${result.savedPath}`,
+          `🔢 **Images:** ${result.count} in ${result.columns} column${result.columns === 1 ? '' : 's'}`,
+          `📐 **Size:** ${result.width}x${result.height} (${(result.size / 1024).toFixed(1)} KB)`
+        ].join('\n'),
+        structuredContent: { ...result, images: imagePaths }
+      };
+    } catch (error) {
+      return {
+        isError: true,
+        type: 'text',
+        text: `❌ Error making contact sheet: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Saved images for a batch ID (in submission order) or for a single history/task ID.
+   * Tasks from this session come first; the history covers batches from earlier runs.
+   */
+  async resolveContactSheetImages(id) {
+    const batchTasks = this.taskRegistry.list().filter(task => task.batchId === id);
+    let savedPaths = batchTasks.map(task => task.saveResult?.savedPath);
+
+    if (batchTasks.length === 0 && this.history) {
+      const { entries } = await this.history.search({ batchId: id, limit: MAX_CONTACT_SHEET_IMAGES });
+      savedPaths = entries.reverse().map(entry => entry.savedPath);
+    }
+
+    if (savedPaths.length === 0) {
+      const entry = (this.history && await this.history.get(id)) || this.taskRegistry.get(id);
+      savedPaths = [entry?.savedPath ?? entry?.saveResult?.savedPath];
+    }
+
+    const existing = savedPaths.filter(Boolean);
+    if (existing.length === 0) {
+      throw new Error(`No saved images found for ${id}`);
+    }
+    return existing;
+  }
+
+  formatImageMetadata(imagePath, metadata) {
+    const lines = [
+      '🔎 **Generation Metadata**',
+      '',
+      `📁 **File:** ${imagePath}`,
+      `📝 **Prompt:** ${metadata.prompt ?? 'unknown'}`,
+      `🎨 **Model:** ${metadata.model ?? 'unknown'}${metadata.tool ? ` (\`${metadata.tool}\`)` : ''}`,
+      `🎲 **Seed:** ${metadata.seed ?? 'unknown'}`,
+      `🆔 **Task ID:** ${metadata.taskId ?? 'unknown'}`,
+      `🕒 **Generated:** ${metadata.createdAt ?? 'unknown'}`
+    ];
+
+    if (metadata.parameters && Object.keys(metadata.parameters).length > 0) {
+      lines.push('', '⚙️ **Parameters:**', '```json', JSON.stringify(metadata.parameters, null, 2), '```');
+    }
+
+    return lines.join('\n');
+  }
+
+  async listHistory(args = {}) {
+    const { limit, offset, model, status, since, until } = args;
+    return this.queryHistory({ limit, offset, model, status, since, until });
+  }
+
+  async searchHistory(args = {}) {
+    const { query, model, tag, status, since, until, limit } = args;
+    return this.queryHistory({ query, model, tag, status, since, until, limit });
+  }
+
+  async queryHistory(filters) {
+    if (!this.history) {
+      return {
+        isError: true,
+        type: 'text',
+        text: '❌ Error: generation history is not enabled on this server'
+      };
+    }
+
+    const invalidDate = ['since', 'until'].find(key => filters[key] && Number.isNaN(Date.parse(filters[key])));
+    if (invalidDate) {
+      return {
+        isError: true,
+        type: 'text',
+        text: `❌ Error: ${invalidDate} must be a date such as 2025-01-31`
+      };
+    }
+
+    const { total, entries } = await this.history.search(filters);
+
+    return {
+      type: 'text',
+      text: this.formatHistory(entries, total)
+    };
+  }
+
+  formatHistory(entries, total) {
+    if (entries.length === 0) {
+      return '📜 No generations found.';
+    }
+
+    const lines = [`📜 **Generation History** (showing ${entries.length} of ${total})`, ''];
+
+    entries.forEach((entry, index) => {
+      const icon = HISTORY_STATUS_ICONS[entry.status] || '•';
+      const when = entry.createdAt ? entry.createdAt.replace('T', ' ').slice(0, 16) : 'unknown time';
+      lines.push(`${index + 1}. ${icon} ${when} · ${this.getModelDisplayName(entry.tool)} · "${this.formatPromptPreview(entry.prompt)}"`);
+
+      if (entry.savedPath) {
+        lines.push(`   💾 ${entry.savedPath}`);
+      }
+      if (entry.error) {
+        lines.push(`   ⚠️ ${entry.error}`);
+      }
+
+      const details = [`🆔 ${entry.taskId}`];
+      if (entry.seed !== null && entry.seed !== undefined) {
+        details.push(`seed ${entry.seed}`);
+      }
+      if (entry.tags && entry.tags.length > 0) {
+        details.push(`tags: ${entry.tags.join(', ')}`);
+      }
+      lines.push(`   ${details.join(' · ')}`);
+    });
+
+    return lines.join('\n');
+  }
+
+  getModelDisplayName(toolName) {
+    if (!toolName) {
+      return 'Unknown';
+    }
+    return toolName.split('_').map(word => 
+      word.charAt(0).toUpperCase() + word.slice(1)
+    ).join(' ');
+  }
+
+  formatPromptPreview(prompt = '') {
+    return `${prompt.substring(0, 100)}${prompt.length > 100 ? '...' : ''}`;
+  }
+
+  formatSubmitted(task) {
+    return `⏳ **Generation Submitted**
+
+🎨 **Model:** ${this.getModelDisplayName(task.toolName)}
+📝 **Prompt:** ${this.formatPromptPreview(task.args.prompt)}
+🆔 **Task ID:** ${task.taskId}
+
+Call \`flux_get_task_status\` with this task ID to check progress, then \`flux_fetch_result\` to download and save the image.`;
+  }
+
+  formatTaskStatus(task) {
+    const elapsedSeconds = Math.round((Date.now() - Date.parse(task.createdAt)) / 1000);
+    const lines = [
+      `📊 **Task Status:** ${task.status}`,
+      `🆔 **Task ID:** ${task.taskId}`,
+      `🎨 **Model:** ${this.getModelDisplayName(task.toolName)}`,
+      `⏱️ **Tracked for:** ${elapsedSeconds}s`
+    ];
+
+    if (typeof task.progress === 'number') {
+      lines.push(`📈 **Progress:** ${Math.round(task.progress)}%`);
+    }
+
+    if (task.saveResult) {
+      lines.push(`💾 **Saved to:** ${task.saveResult.savedPath}`);
+    } else if (task.status === 'Ready') {
+      lines.push('', 'The image is ready - call `flux_fetch_result` to download and save it.');
+    } else if (FAILED_STATUSES.includes(task.status)) {
+      lines.push('', '❌ The task will not produce an image.');
+    } else {
+      lines.push('', 'Still generating - check again in a few seconds.');
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Text summary plus attachments: a thumbnail that vision-capable clients can look at
+   * (when thumbnailSize is set) and a resource link to the saved file.
+   */
+  async successResult(task, imageUrl, saveResult) {
+    const attachments = [];
+
+    if (this.thumbnailSize > 0) {
+      try {
+        const thumbnail = await this.fileManager.createThumbnail(saveResult.savedPath, this.thumbnailSize);
+        attachments.push({ type: 'image', data: thumbnail.data.toString('base64'), mimeType: thumbnail.mimeType });
+      } catch (error) {
+        // The image is saved either way; a missing preview only costs the client a look
+      }
+    }
+
+    // Files in the output directory are readable resources; anything else is only a local path
+    const relativePath = this.fileManager.getOutputRelativePath(saveResult.savedPath);
+    attachments.push({
+      type: 'resource_link',
+      uri: relativePath ? this.getImageResourceUri(relativePath) : pathToFileURL(saveResult.savedPath).href,
+      name: saveResult.filename,
+      mimeType: getImageMimeType(saveResult.savedPath) ?? undefined,
+      size: saveResult.size
+    });
+
+    return {
+      type: 'text',
+      text: this.formatSuccess(task, imageUrl, saveResult),
+      attachments
+    };
+  }
+
+  formatSuccess(task, imageUrl, saveResult) {
+    const { args } = task;
+
+    return `✅ **Image Generated Successfully!**
+
+🎨 **Model:** ${this.getModelDisplayName(task.toolName)}
+📝 **Prompt:** ${this.formatPromptPreview(args.prompt)}
+💾 **Saved to:** ${saveResult.savedPath}${saveResult.sidecarPath ? `\n📋 **Manifest:** ${saveResult.sidecarPath}` : ''}
+🆔 **Task ID:** ${task.taskId}
+🔗 **Original URL:** ${imageUrl}
+
+**Generation Parameters:**
+- ${args.aspect_ratio ? `Aspect ratio: ${args.aspect_ratio}` : `Dimensions: ${args.width || 'default'}x${args.height || 'default'}`}
+- Seed: ${args.seed ?? 'random'}
+- Steps: ${args.steps || 'default'}
+- Guidance: ${args.guidance || 'default'}
+- Safety: ${args.safety_tolerance ?? 2}
+
+The image is ready to use in your project! 🚀`;
+  }
+
+  formatToolError(toolName, error) {
+    let text = `❌ Error executing ${toolName}: ${error.message}`;
+
+    if (error.taskId) {
+      text += `\n🆔 **Task ID:** ${error.taskId}`;
+    }
+
+    const hint = this.getErrorHint(error);
+    if (hint) {
+      text += `\n💡 ${hint}`;
+    }
+
+    return text;
+  }
+
+  getErrorHint(error) {
+    switch (error.kind) {
+    case 'authentication':
+      return 'Check that BFL_API_KEY is set to a valid Black Forest Labs API key.';
+    case 'insufficient_credits':
+      return 'Your BFL account is out of credits - top up at https://api.bfl.ai and try again.';
+    case 'rate_limited':
+      return error.retryAfter
+        ? `BFL is rate limiting requests - retry in about ${Math.ceil(error.retryAfter / 1000)}s.`
+        : 'BFL is rate limiting requests - wait a moment and retry.';
+    case 'validation':
+      return 'BFL rejected the parameters - adjust the fields listed above and retry.';
+    case 'moderation':
+      return 'The prompt or result was moderated - rephrase the prompt or raise safety_tolerance.';
+    case 'timeout':
+      return 'The task may still finish on BFL\'s side - try again later or use a faster model.';
+    case 'network':
+      return 'Could not reach the BFL API - check connectivity and BFL_API_URL/BFL_API_REGION.';
+    default:
+      return null;
     }
   }
 } 
\ No newline at end of file
@@ -0,0 +1,115 @@
+// SPDX-License-Identifier: MIT
+/**
+ * 📜 Generation History
+ *
+ * Persistent, append-only JSONL log of every generation under the output directory,
+ * with filtering by date, model, status, prompt text and tag
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Inline base64 images would bloat the log; keep a marker instead
+const MAX_STORED_STRING_LENGTH = 2048;
+const OMITTED_PATTERN = /^<\d+ characters omitted>$/;
+
+export class GenerationHistory {
+  constructor(options = {}) {
+    if (!options.directory) {
+      throw new Error('History directory is required');
+    }
+
+    this.filePath = path.join(options.directory, options.fileName || '.flux-history.jsonl');
+  }
+
+  /**
+   * Append a new entry, or changes to an existing one. Entries are keyed by `id`
+   * and later lines win, so updates never rewrite the file.
+   */
+  async record(entry) {
+    if (!entry || !entry.id) {
+      throw new Error('History entry ID is required');
+    }
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+  }
+
+  async load() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const entries = new Map();
+    for (const line of content.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      let change;
+      try {
+        change = JSON.parse(line);
+      } catch {
+        // A torn write from a crash should not hide the rest of the history
+        continue;
+      }
+      entries.set(change.id, { ...entries.get(change.id), ...change });
+    }
+
+    return [...entries.values()].sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  }
+
+  async get(id) {
+    const entries = await this.load();
+    return entries.find(entry => entry.id === id || entry.taskId === id) || null;
+  }
+
+  /**
+   * Filter newest-first by any of: query (all words must appear in the prompt),
+   * model (tool name or endpoint fragment), status, tag, batchId, since and until (dates).
+   */
+  async search(filters = {}) {
+    const { query, model, status, tag, batchId, since, until, limit = 20, offset = 0 } = filters;
+    const words = query ? query.toLowerCase().split(/\s+/).filter(Boolean) : [];
+    const sinceTime = since ? Date.parse(since) : null;
+    // A bare date as upper bound means "through the end of that day"
+    const untilTime = until ? Date.parse(until) + (/^\d{4}-\d{2}-\d{2}$/.test(until) ? 86399999 : 0) : null;
+
+    const matches = (await this.load()).filter(entry => {
+      const prompt = (entry.prompt || '').toLowerCase();
+      const created = Date.parse(entry.createdAt);
+
+      return words.every(word => prompt.includes(word)) &&
+        (!model || [entry.tool, entry.endpoint].some(value => value && value.includes(model))) &&
+        (!status || entry.status === status) &&
+        (!tag || (entry.tags || []).some(entryTag => entryTag.toLowerCase() === tag.toLowerCase())) &&
+        (!batchId || entry.batchId === batchId) &&
+        (sinceTime === null || created >= sinceTime) &&
+        (untilTime === null || created <= untilTime);
+    });
+
+    return {
+      total: matches.length,
+      entries: matches.slice(offset, offset + limit)
+    };
+  }
+
+  static isOmitted(value) {
+    return typeof value === 'string' && OMITTED_PATTERN.test(value);
+  }
+
+  static sanitizeParameters(args = {}) {
+    return Object.fromEntries(Object.entries(args).map(([key, value]) => [
+      key,
+      typeof value === 'string' && value.length > MAX_STORED_STRING_LENGTH
+        ? `<${value.length} characters omitted>`
+        : value
+    ]));
+  }
+}
@@ -0,0 +1,374 @@
+// SPDX-License-Identifier: MIT
+/**
+ * 🌍 HTTP Transport
+ *
+ * MCP Streamable HTTP transport: JSON-RPC over POST, SSE for server-to-client messages,
+ * one protocol session per client sharing a single FluxMcpServer
+ */
+
+import http from 'http';
+import { randomUUID, timingSafeEqual } from 'crypto';
+import { EventEmitter } from 'events';
+import { McpProtocolHandler, JSONRPC_VERSION, ErrorCodes, SUPPORTED_PROTOCOL_VERSIONS } from './McpProtocolHandler.js';
+
+const SESSION_HEADER = 'mcp-session-id';
+const PROTOCOL_VERSION_HEADER = 'mcp-protocol-version';
+
+export class HttpTransport extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    const {
+      server,
+      logger,
+      port = 3000,
+      host = '127.0.0.1',
+      path = '/mcp',
+      authToken = null,
+      allowedOrigins = [],
+      maxBodyBytes = 50 * 1024 * 1024,
+      sessionIdleTimeout = 30 * 60 * 1000,
+      keepAliveInterval = 25000
+    } = options;
+
+    if (!server) {
+      throw new Error('MCP server is required');
+    }
+
+    this.server = server;
+    this.logger = logger || { info: () => {}, debug: () => {}, error: () => {} };
+    this.port = port;
+    this.host = host;
+    this.path = path;
+    this.authToken = authToken;
+    this.allowedOrigins = allowedOrigins;
+    this.maxBodyBytes = maxBodyBytes;
+    this.sessionIdleTimeout = sessionIdleTimeout;
+    this.keepAliveInterval = keepAliveInterval;
+
+    this.sessions = new Map();
+    this.httpServer = null;
+    this.timers = [];
+  }
+
+  async start() {
+    this.httpServer = http.createServer((req, res) => {
+      this.handleHttpRequest(req, res).catch(error => {
+        this.logger.error(`HTTP request failed: ${error.message}`);
+        if (!res.headersSent) {
+          this.sendJsonError(res, 500, null, ErrorCodes.INTERNAL_ERROR, 'Internal error');
+        } else {
+          res.end();
+        }
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, () => {
+        this.httpServer.off('error', reject);
+        resolve();
+      });
+    });
+
+    const sweep = setInterval(() => this.expireIdleSessions(), Math.min(this.sessionIdleTimeout, 60000));
+    const keepAlive = setInterval(() => this.pingStreams(), this.keepAliveInterval);
+    sweep.unref();
+    keepAlive.unref();
+    this.timers.push(sweep, keepAlive);
+
+    const address = this.httpServer.address();
+    this.port = address.port;
+    return { host: this.host, port: this.port, path: this.path };
+  }
+
+  async close() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+
+    for (const sessionId of [...this.sessions.keys()]) {
+      this.terminateSession(sessionId);
+    }
+
+    if (this.httpServer) {
+      await new Promise(resolve => this.httpServer.close(() => resolve()));
+      this.httpServer = null;
+    }
+
+    this.emit('close');
+  }
+
+  async handleHttpRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== this.path) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    if (!this.isOriginAllowed(req.headers.origin)) {
+      this.sendJsonError(res, 403, null, ErrorCodes.INVALID_REQUEST, 'Forbidden: origin not allowed');
+      return;
+    }
+
+    if (!this.isAuthorized(req.headers.authorization)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      this.sendJsonError(res, 401, null, ErrorCodes.INVALID_REQUEST, 'Unauthorized');
+      return;
+    }
+
+    const protocolVersion = req.headers[PROTOCOL_VERSION_HEADER];
+    if (protocolVersion && !SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)) {
+      this.sendJsonError(res, 400, null, ErrorCodes.INVALID_REQUEST, `Unsupported protocol version: ${protocolVersion}`);
+      return;
+    }
+
+    switch (req.method) {
+    case 'POST':
+      await this.handlePost(req, res);
+      break;
+    case 'GET':
+      this.handleGet(req, res);
+      break;
+    case 'DELETE':
+      this.handleDelete(req, res);
+      break;
+    default:
+      res.writeHead(405, { Allow: 'GET, POST, DELETE' }).end();
+    }
+  }
+
+  async handlePost(req, res) {
+    let message;
+    try {
+      const body = await this.readBody(req);
+      message = JSON.parse(body);
+    } catch (error) {
+      if (error.code === 'BODY_TOO_LARGE') {
+        this.sendJsonError(res, 413, null, ErrorCodes.INVALID_REQUEST, 'Request body too large');
+      } else {
+        this.sendJsonError(res, 400, null, ErrorCodes.PARSE_ERROR, 'Parse error');
+      }
+      return;
+    }
+
+    const messages = Array.isArray(message) ? message : [message];
+    const isInitialize = messages.some(entry => entry && entry.method === 'initialize');
+
+    let session;
+    if (isInitialize) {
+      if (messages.length > 1) {
+        this.sendJsonError(res, 400, null, ErrorCodes.INVALID_REQUEST, 'Invalid Request: initialize must not be batched');
+        return;
+      }
+      session = this.createSession();
+    } else {
+      session = this.resolveSession(req, res);
+      if (!session) {
+        return;
+      }
+    }
+
+    session.lastSeen = Date.now();
+    res.setHeader('Mcp-Session-Id', session.id);
+
+    const hasRequests = messages.some(entry => entry && typeof entry.method === 'string' && 'id' in entry);
+    if (!hasRequests) {
+      await session.handler.handleMessage(message);
+      res.writeHead(202).end();
+      return;
+    }
+
+    const acceptsStream = (req.headers.accept || '').includes('text/event-stream');
+    if (!acceptsStream) {
+      // Plain JSON replies can't carry notifications; use the standalone stream if one is open
+      const reply = await session.handler.handleMessage(message, {
+        sendNotification: (notification) => this.send(session.id, notification)
+      });
+      this.sendJson(res, 200, reply);
+      return;
+    }
+
+    // Answer on a per-request SSE stream so related notifications can share it
+    this.openEventStream(res);
+    const reply = await session.handler.handleMessage(message, {
+      sendNotification: (notification) => {
+        if (!res.writableEnded) {
+          this.writeEvent(res, notification);
+        }
+      }
+    });
+    if (reply !== null) {
+      this.writeEvent(res, reply);
+    }
+    res.end();
+  }
+
+  handleGet(req, res) {
+    if (!(req.headers.accept || '').includes('text/event-stream')) {
+      res.writeHead(405, { Allow: 'POST, DELETE' }).end();
+      return;
+    }
+
+    const session = this.resolveSession(req, res);
+    if (!session) {
+      return;
+    }
+
+    session.lastSeen = Date.now();
+    res.setHeader('Mcp-Session-Id', session.id);
+    this.openEventStream(res);
+    session.streams.add(res);
+    res.on('close', () => session.streams.delete(res));
+  }
+
+  handleDelete(req, res) {
+    const session = this.resolveSession(req, res);
+    if (!session) {
+      return;
+    }
+
+    this.terminateSession(session.id);
+    res.writeHead(200).end();
+  }
+
+  createSession() {
+    const id = randomUUID();
+    const session = {
+      id,
+      handler: new McpProtocolHandler({ server: this.server, logger: this.logger }),
+      streams: new Set(),
+      createdAt: Date.now(),
+      lastSeen: Date.now()
+    };
+
+    this.sessions.set(id, session);
+    this.logger.debug(`HTTP session opened: ${id}`);
+    return session;
+  }
+
+  resolveSession(req, res) {
+    const sessionId = req.headers[SESSION_HEADER];
+
+    if (!sessionId) {
+      this.sendJsonError(res, 400, null, ErrorCodes.INVALID_REQUEST, 'Bad Request: Mcp-Session-Id header is required');
+      return null;
+    }
+
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      this.sendJsonError(res, 404, null, ErrorCodes.INVALID_REQUEST, 'Session not found');
+      return null;
+    }
+
+    return session;
+  }
+
+  terminateSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+
+    session.streams.forEach(stream => stream.end());
+    this.sessions.delete(sessionId);
+    this.logger.debug(`HTTP session closed: ${sessionId}`);
+  }
+
+  expireIdleSessions() {
+    const cutoff = Date.now() - this.sessionIdleTimeout;
+    for (const session of this.sessions.values()) {
+      if (session.lastSeen < cutoff && session.streams.size === 0) {
+        this.terminateSession(session.id);
+      }
+    }
+  }
+
+  /**
+   * Push a server-initiated message to one session's standalone SSE streams.
+   */
+  send(sessionId, message) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return false;
+    }
+
+    session.streams.forEach(stream => this.writeEvent(stream, message));
+    return session.streams.size > 0;
+  }
+
+  broadcast(message) {
+    for (const sessionId of this.sessions.keys()) {
+      this.send(sessionId, message);
+    }
+  }
+
+  pingStreams() {
+    for (const session of this.sessions.values()) {
+      session.streams.forEach(stream => stream.write(': keep-alive\n\n'));
+    }
+  }
+
+  isAuthorized(header) {
+    if (!this.authToken) {
+      return true;
+    }
+
+    const match = /^Bearer\s+(.+)$/i.exec(header || '');
+    if (!match) {
+      return false;
+    }
+
+    const provided = Buffer.from(match[1].trim());
+    const expected = Buffer.from(this.authToken);
+    return provided.length === expected.length && timingSafeEqual(provided, expected);
+  }
+
+  isOriginAllowed(origin) {
+    if (!origin || this.allowedOrigins.length === 0) {
+      return true;
+    }
+    return this.allowedOrigins.includes(origin);
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > this.maxBodyBytes) {
+          const error = new Error('Request body too large');
+          error.code = 'BODY_TOO_LARGE';
+          req.destroy();
+          reject(error);
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      req.on('error', reject);
+    });
+  }
+
+  openEventStream(res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+  }
+
+  writeEvent(res, message) {
+    res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+  }
+
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  sendJsonError(res, status, id, code, message) {
+    this.sendJson(res, status, { jsonrpc: JSONRPC_VERSION, id, error: { code, message } });
+  }
+}
@@ -0,0 +1,326 @@
+// SPDX-License-Identifier: MIT
+/**
+ * 🏷️ Image Metadata
+ *
+ * Embeds generation metadata (prompt, model, seed, task ID, timestamp, parameters) into
+ * saved images - PNG tEXt/iTXt chunks, JPEG XMP and EXIF - and reads it back
+ */
+
+import { inflateSync } from 'zlib';
+import { detectImageFormat } from './ImageUtils.js';
+
+const SOFTWARE = 'flux-mcp-server';
+const METADATA_KEY = 'flux:generation';
+const FLUX_NAMESPACE = 'https://github.com/stanley-marketing/bfl-api-mcp/ns/1.0/';
+
+const PNG_TEXT_CHUNKS = ['tEXt', 'iTXt', 'zTXt'];
+const PNG_OWN_KEYWORDS = ['Software', 'Description', METADATA_KEY];
+
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'binary');
+const XMP_HEADER = Buffer.from('http://ns.adobe.com/xap/1.0/\0', 'binary');
+const JPEG_MAX_SEGMENT_BYTES = 65533;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Return a copy of the image with the metadata embedded. Earlier metadata written by
+ * this server is replaced; formats other than PNG and JPEG are returned unchanged.
+ */
+export function embedMetadata(buffer, metadata) {
+  switch (detectImageFormat(buffer)) {
+  case 'png':
+    return embedPngMetadata(buffer, metadata);
+  case 'jpeg':
+    return embedJpegMetadata(buffer, metadata);
+  default:
+    return buffer;
+  }
+}
+
+/**
+ * Read back metadata written by embedMetadata, or null when the image carries none.
+ */
+export function readMetadata(buffer) {
+  let json = null;
+
+  switch (detectImageFormat(buffer)) {
+  case 'png':
+    json = readPngText(buffer)[METADATA_KEY] ?? null;
+    break;
+  case 'jpeg':
+    json = readJpegXmpValue(buffer);
+    break;
+  default:
+    return null;
+  }
+
+  if (json === null) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(json);
+  } catch {
+    return null;
+  }
+}
+
+// PNG
+
+function* pngChunks(buffer) {
+  let offset = 8;
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    yield { type, data: buffer.subarray(offset + 8, offset + 8 + length), raw: buffer.subarray(offset, end) };
+    offset = end;
+  }
+}
+
+function pngChunk(type, data) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(data.length, 0);
+  header.write(type, 4, 'latin1');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([header.subarray(4), data])));
+  return Buffer.concat([header, data, crc]);
+}
+
+function textChunk(keyword, text) {
+  return pngChunk('tEXt', Buffer.concat([Buffer.from(`${keyword}\0`, 'latin1'), Buffer.from(text, 'latin1')]));
+}
+
+// iTXt carries UTF-8, so prompts in any language survive
+function internationalTextChunk(keyword, text) {
+  return pngChunk('iTXt', Buffer.concat([
+    Buffer.from(`${keyword}\0\0\0\0\0`, 'latin1'),
+    Buffer.from(text, 'utf8')
+  ]));
+}
+
+function parsePngText(type, data) {
+  const keywordEnd = data.indexOf(0);
+  if (keywordEnd < 0) {
+    return null;
+  }
+  const keyword = data.toString('latin1', 0, keywordEnd);
+
+  if (type === 'tEXt') {
+    return { keyword, text: data.toString('latin1', keywordEnd + 1) };
+  }
+
+  if (type === 'zTXt') {
+    return { keyword, text: inflateSync(data.subarray(keywordEnd + 2)).toString('latin1') };
+  }
+
+  const compressed = data[keywordEnd + 1] === 1;
+  const languageEnd = data.indexOf(0, keywordEnd + 3);
+  const translatedEnd = data.indexOf(0, languageEnd + 1);
+  const text = data.subarray(translatedEnd + 1);
+  return { keyword, text: (compressed ? inflateSync(text) : text).toString('utf8') };
+}
+
+function readPngText(buffer) {
+  const entries = {};
+  for (const { type, data } of pngChunks(buffer)) {
+    if (!PNG_TEXT_CHUNKS.includes(type)) {
+      continue;
+    }
+    const entry = parsePngText(type, data);
+    if (entry) {
+      entries[entry.keyword] = entry.text;
+    }
+  }
+  return entries;
+}
+
+function embedPngMetadata(buffer, metadata) {
+  const ownChunks = [
+    textChunk('Software', SOFTWARE),
+    internationalTextChunk(METADATA_KEY, JSON.stringify(metadata))
+  ];
+  if (metadata.prompt) {
+    ownChunks.splice(1, 0, internationalTextChunk('Description', metadata.prompt));
+  }
+
+  const parts = [buffer.subarray(0, 8)];
+  for (const { type, data, raw } of pngChunks(buffer)) {
+    if (PNG_TEXT_CHUNKS.includes(type) && PNG_OWN_KEYWORDS.includes(parsePngText(type, data)?.keyword)) {
+      continue;
+    }
+    if (type === 'IEND') {
+      parts.push(...ownChunks);
+    }
+    parts.push(raw);
+  }
+
+  return Buffer.concat(parts);
+}
+
+// JPEG
+
+/**
+ * Split a JPEG into its header segments and the scan data that follows SOS.
+ */
+function jpegSegments(buffer) {
+  const segments = [];
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      throw new Error('Malformed JPEG segment');
+    }
+
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+
+    if (marker === 0xda) {
+      return { segments, scan: buffer.subarray(offset) };
+    }
+
+    const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+    segments.push({ marker, data: buffer.subarray(offset + 4, end), raw: buffer.subarray(offset, end) });
+    offset = end;
+  }
+
+  throw new Error('JPEG has no image data');
+}
+
+function jpegSegment(marker, data) {
+  if (data.length > JPEG_MAX_SEGMENT_BYTES) {
+    throw new Error('Metadata is too large for a JPEG segment');
+  }
+
+  const header = Buffer.from([0xff, marker, 0, 0]);
+  header.writeUInt16BE(data.length + 2, 2);
+  return Buffer.concat([header, data]);
+}
+
+const isApp1With = (segment, prefix) =>
+  segment.marker === 0xe1 && segment.data.subarray(0, prefix.length).equals(prefix);
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function unescapeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&');
+}
+
+function buildXmp(metadata) {
+  const lines = [
+    '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    `<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:xmp="http://ns.adobe.com/xap/1.0/" xmlns:flux="${FLUX_NAMESPACE}">`
+  ];
+  if (metadata.prompt) {
+    lines.push(`<dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(metadata.prompt)}</rdf:li></rdf:Alt></dc:description>`);
+  }
+  lines.push(`<xmp:CreatorTool>${SOFTWARE}</xmp:CreatorTool>`);
+  if (metadata.createdAt) {
+    lines.push(`<xmp:CreateDate>${escapeXml(metadata.createdAt)}</xmp:CreateDate>`);
+  }
+  lines.push(
+    `<flux:generation>${escapeXml(JSON.stringify(metadata))}</flux:generation>`,
+    '</rdf:Description>',
+    '</rdf:RDF>',
+    '</x:xmpmeta>',
+    '<?xpacket end="w"?>'
+  );
+
+  return Buffer.concat([XMP_HEADER, Buffer.from(lines.join('\n'), 'utf8')]);
+}
+
+/**
+ * Minimal little-endian TIFF block with ImageDescription, Software and DateTime in IFD0,
+ * for tools that only look at EXIF.
+ */
+function buildExif(metadata) {
+  const date = metadata.createdAt ? new Date(metadata.createdAt) : new Date();
+  const exifDate = date.toISOString().slice(0, 19).replace('T', ' ').replace(/-/g, ':');
+  const fields = [
+    [0x010e, metadata.prompt],
+    [0x0131, SOFTWARE],
+    [0x0132, exifDate]
+  ].filter(([, value]) => value);
+
+  const entriesEnd = 8 + 2 + fields.length * 12 + 4;
+  const tiff = Buffer.alloc(entriesEnd);
+  tiff.write('II', 0, 'latin1');
+  tiff.writeUInt16LE(42, 2);
+  tiff.writeUInt32LE(8, 4);
+  tiff.writeUInt16LE(fields.length, 8);
+
+  const values = [];
+  let valueOffset = entriesEnd;
+  fields.forEach(([tag, value], index) => {
+    const bytes = Buffer.concat([Buffer.from(value, 'utf8'), Buffer.from([0])]);
+    const entry = 10 + index * 12;
+    tiff.writeUInt16LE(tag, entry);
+    tiff.writeUInt16LE(2, entry + 2);
+    tiff.writeUInt32LE(bytes.length, entry + 4);
+    if (bytes.length <= 4) {
+      bytes.copy(tiff, entry + 8);
+    } else {
+      tiff.writeUInt32LE(valueOffset, entry + 8);
+      values.push(bytes);
+      valueOffset += bytes.length;
+    }
+  });
+
+  return Buffer.concat([EXIF_HEADER, tiff, ...values]);
+}
+
+function embedJpegMetadata(buffer, metadata) {
+  const { segments, scan } = jpegSegments(buffer);
+  const kept = segments.filter(segment => !isApp1With(segment, EXIF_HEADER) && !isApp1With(segment, XMP_HEADER));
+
+  // JFIF requires its APP0 segment to come first
+  const leading = kept[0]?.marker === 0xe0 ? [kept.shift().raw] : [];
+
+  return Buffer.concat([
+    buffer.subarray(0, 2),
+    ...leading,
+    jpegSegment(0xe1, buildExif(metadata)),
+    jpegSegment(0xe1, buildXmp(metadata)),
+    ...kept.map(segment => segment.raw),
+    scan
+  ]);
+}
+
+function readJpegXmpValue(buffer) {
+  const xmp = jpegSegments(buffer).segments.find(segment => isApp1With(segment, XMP_HEADER));
+  if (!xmp) {
+    return null;
+  }
+
+  const match = /<flux:generation>([\s\S]*?)<\/flux:generation>/.exec(xmp.data.toString('utf8', XMP_HEADER.length));
+  return match ? unescapeXml(match[1]) : null;
+}
@@ -0,0 +1,195 @@
+// SPDX-License-Identifier: MIT
+/**
+ * 🖼️ Image Utils
+ *
+ * Helpers for PNG, JPEG and WebP buffers: format sniffing and dimensions from headers,
+ * plus pure-JS decoding, resizing and encoding for PNG and JPEG
+ */
+
+import { PNG } from 'pngjs';
+import jpeg from 'jpeg-js';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// JPEG start-of-frame markers carry the dimensions; C4, C8 and CC are not frames
+const JPEG_SOF_MARKERS = [0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf];
+
+const MIME_TYPES_BY_EXTENSION = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp'
+};
+
+export function getImageMimeType(filePath) {
+  const extension = filePath.slice(filePath.lastIndexOf('.')).toLowerCase();
+  return MIME_TYPES_BY_EXTENSION[extension] || null;
+}
+
+export function detectImageFormat(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    return null;
+  }
+
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return 'png';
+  }
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+
+  return null;
+}
+
+export function getImageDimensions(buffer) {
+  const format = detectImageFormat(buffer);
+
+  switch (format) {
+  case 'png':
+    return { format, width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  case 'jpeg':
+    return { format, ...readJpegDimensions(buffer) };
+  case 'webp':
+    return { format, ...readWebpDimensions(buffer) };
+  default:
+    throw new Error('Unsupported image format (expected PNG, JPEG or WebP)');
+  }
+}
+
+function readJpegDimensions(buffer) {
+  let offset = 2;
+
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      offset++;
+      continue;
+    }
+
+    const marker = buffer[offset + 1];
+    if (JPEG_SOF_MARKERS.includes(marker)) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+
+    // Fill bytes and standalone markers have no length field
+    if (marker === 0xff || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd9)) {
+      offset += marker === 0xff ? 1 : 2;
+      continue;
+    }
+
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+
+  throw new Error('Could not read JPEG dimensions');
+}
+
+function readWebpDimensions(buffer) {
+  const chunk = buffer.toString('ascii', 12, 16);
+
+  if (chunk === 'VP8X' && buffer.length >= 30) {
+    return { width: 1 + buffer.readUIntLE(24, 3), height: 1 + buffer.readUIntLE(27, 3) };
+  }
+
+  if (chunk === 'VP8L' && buffer.length >= 25) {
+    const bits = buffer.readUInt32LE(21);
+    return { width: 1 + (bits & 0x3fff), height: 1 + ((bits >> 14) & 0x3fff) };
+  }
+
+  if (chunk === 'VP8 ' && buffer.length >= 30) {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+
+  throw new Error('Could not read WebP dimensions');
+}
+
+export function decodeImage(buffer) {
+  switch (detectImageFormat(buffer)) {
+  case 'png': {
+    const { width, height, data } = PNG.sync.read(buffer);
+    return { width, height, data };
+  }
+  case 'jpeg': {
+    const { width, height, data } = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+    return { width, height, data: Buffer.from(data.buffer, data.byteOffset, data.byteLength) };
+  }
+  default:
+    throw new Error('Only PNG and JPEG images can be decoded');
+  }
+}
+
+export function encodeImage(image, format = 'png', quality = 90) {
+  if (format === 'jpeg') {
+    return jpeg.encode(image, quality).data;
+  }
+
+  const png = new PNG({ width: image.width, height: image.height });
+  image.data.copy(png.data);
+  return PNG.sync.write(png);
+}
+
+/**
+ * Resize RGBA pixels by averaging each target pixel's source area, which keeps
+ * downscaled photos free of aliasing without a native dependency.
+ */
+export function resizeImage(image, width, height) {
+  const data = Buffer.alloc(width * height * 4);
+  const scaleX = image.width / width;
+  const scaleY = image.height / height;
+
+  for (let y = 0; y < height; y++) {
+    const top = Math.floor(y * scaleY);
+    const bottom = Math.max(top + 1, Math.min(image.height, Math.floor((y + 1) * scaleY)));
+
+    for (let x = 0; x < width; x++) {
+      const left = Math.floor(x * scaleX);
+      const right = Math.max(left + 1, Math.min(image.width, Math.floor((x + 1) * scaleX)));
+      const sums = [0, 0, 0, 0];
+
+      for (let sy = top; sy < bottom; sy++) {
+        for (let sx = left; sx < right; sx++) {
+          const source = (sy * image.width + sx) * 4;
+          sums[0] += image.data[source];
+          sums[1] += image.data[source + 1];
+          sums[2] += image.data[source + 2];
+          sums[3] += image.data[source + 3];
+        }
+      }
+
+      const count = (bottom - top) * (right - left);
+      const target = (y * width + x) * 4;
+      for (let channel = 0; channel < 4; channel++) {
+        data[target + channel] = Math.round(sums[channel] / count);
+      }
+    }
+  }
+
+  return { width, height, data };
+}
+
+/**
+ * Shrink a PNG or JPEG so its longest side is at most maxDimension, keeping the format.
+ * Other formats and images already within bounds are returned unchanged.
+ */
+export function downscaleImage(buffer, maxDimension) {
+  const format = detectImageFormat(buffer);
+  if (!maxDimension || (format !== 'png' && format !== 'jpeg')) {
+    return buffer;
+  }
+
+  const { width, height } = getImageDimensions(buffer);
+  const scale = maxDimension / Math.max(width, height);
+  if (scale >= 1) {
+    return buffer;
+  }
+
+  const resized = resizeImage(
+    decodeImage(buffer),
+    Math.max(1, Math.round(width * scale)),
+    Math.max(1, Math.round(height * scale))
+  );
+  return encodeImage(resized, format);
+}
@@ -0,0 +1,311 @@
+// SPDX-License-Identifier: MIT
+/**
+ * 🔌 MCP Protocol Handler
+ *
+ * Transport-agnostic JSON-RPC 2.0 dispatcher that maps MCP methods onto FluxMcpServer
+ */
+
+export const JSONRPC_VERSION = '2.0';
+
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// Content types newer than some supported protocol versions, with the version that added them
+const CONTENT_TYPE_VERSIONS = {
+  'resource_link': '2025-06-18'
+};
+
+// Saved images can number in the thousands, so resources/list is paginated
+const RESOURCE_PAGE_SIZE = 50;
+
+export const ErrorCodes = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  RESOURCE_NOT_FOUND: -32002
+};
+
+export class JsonRpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'JsonRpcError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+export class McpProtocolHandler {
+  constructor(options = {}) {
+    const { server, logger } = options;
+
+    if (!server) {
+      throw new Error('MCP server is required');
+    }
+
+    this.server = server;
+    this.logger = logger || { debug: () => {}, error: () => {} };
+    this.protocolVersion = null;
+    this.clientInfo = null;
+    this.initialized = false;
+    this.inFlight = new Map();
+
+    this.methods = {
+      'initialize': (params) => this.handleInitialize(params),
+      'ping': () => ({}),
+      'tools/list': () => this.handleToolsList(),
+      'tools/call': (params, context) => this.handleToolsCall(params, context),
+      'resources/list': (params) => this.handleResourcesList(params),
+      'resources/read': (params) => this.handleResourcesRead(params)
+    };
+
+    this.notificationHandlers = {
+      'notifications/initialized': () => {
+        this.initialized = true;
+      },
+      'notifications/cancelled': (params) => this.handleCancelled(params)
+    };
+  }
+
+  /**
+   * Parse and handle one raw frame. Returns the serialized reply, or null when
+   * the frame carried only notifications or responses.
+   */
+  async handleRaw(raw, transportContext = {}) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      return JSON.stringify(this.errorResponse(null, new JsonRpcError(ErrorCodes.PARSE_ERROR, 'Parse error')));
+    }
+
+    const reply = await this.handleMessage(message, transportContext);
+    return reply === null ? null : JSON.stringify(reply);
+  }
+
+  async handleMessage(message, transportContext = {}) {
+    if (Array.isArray(message)) {
+      if (message.length === 0) {
+        return this.errorResponse(null, new JsonRpcError(ErrorCodes.INVALID_REQUEST, 'Invalid Request: empty batch'));
+      }
+
+      const replies = await Promise.all(message.map(entry => this.handleSingle(entry, transportContext)));
+      const responses = replies.filter(reply => reply !== null);
+      return responses.length > 0 ? responses : null;
+    }
+
+    return this.handleSingle(message, transportContext);
+  }
+
+  async handleSingle(message, transportContext = {}) {
+    if (!message || typeof message !== 'object' || message.jsonrpc !== JSONRPC_VERSION) {
+      return this.errorResponse(null, new JsonRpcError(ErrorCodes.INVALID_REQUEST, 'Invalid Request'));
+    }
+
+    // Responses to server-initiated requests are not used yet
+    if (!('method' in message)) {
+      return null;
+    }
+
+    if (typeof message.method !== 'string') {
+      return this.errorResponse(message.id ?? null, new JsonRpcError(ErrorCodes.INVALID_REQUEST, 'Invalid Request: method must be a string'));
+    }
+
+    const isNotification = !('id' in message);
+
+    if (isNotification) {
+      const handler = this.notificationHandlers[message.method];
+      if (handler) {
+        try {
+          await handler(message.params || {});
+        } catch (error) {
+          this.logger.error(`Notification ${message.method} failed: ${error.message}`);
+        }
+      } else {
+        this.logger.debug(`Ignoring notification: ${message.method}`);
+      }
+      return null;
+    }
+
+    const { id } = message;
+    if (id === null || !['string', 'number'].includes(typeof id)) {
+      return this.errorResponse(null, new JsonRpcError(ErrorCodes.INVALID_REQUEST, 'Invalid Request: id must be a string or number'));
+    }
+
+    const method = this.methods[message.method];
+    if (!method) {
+      return this.errorResponse(id, new JsonRpcError(ErrorCodes.METHOD_NOT_FOUND, `Method not found: ${message.method}`));
+    }
+
+    const params = message.params || {};
+    const controller = new AbortController();
+    const requestContext = {
+      requestId: id,
+      progressToken: params._meta?.progressToken,
+      sendNotification: transportContext.sendNotification || null,
+      signal: controller.signal
+    };
+
+    this.inFlight.set(id, controller);
+    try {
+      const result = await method(params, requestContext);
+      return { jsonrpc: JSONRPC_VERSION, id, result };
+    } catch (error) {
+      if (!(error instanceof JsonRpcError)) {
+        this.logger.error(`${message.method} failed: ${error.message}`);
+      }
+      return this.errorResponse(id, error);
+    } finally {
+      this.inFlight.delete(id);
+    }
+  }
+
+  handleCancelled(params) {
+    const controller = this.inFlight.get(params.requestId);
+
+    // Unknown or already finished requests are ignored, as the spec allows for races
+    if (!controller) {
+      return;
+    }
+
+    this.logger.debug(`Cancelling request ${params.requestId}${params.reason ? `: ${params.reason}` : ''}`);
+    controller.abort(params.reason);
+  }
+
+  errorResponse(id, error) {
+    const isRpcError = error instanceof JsonRpcError;
+    const payload = {
+      code: isRpcError ? error.code : ErrorCodes.INTERNAL_ERROR,
+      message: isRpcError ? error.message : `Internal error: ${error.message}`
+    };
+
+    if (isRpcError && error.data !== undefined) {
+      payload.data = error.data;
+    }
+
+    return { jsonrpc: JSONRPC_VERSION, id, error: payload };
+  }
+
+  handleInitialize(params) {
+    const requested = params.protocolVersion;
+    if (typeof requested !== 'string') {
+      throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, 'protocolVersion is required');
+    }
+
+    // Echo the client's version when we speak it, otherwise offer our latest
+    this.protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(requested)
+      ? requested
+      : SUPPORTED_PROTOCOL_VERSIONS[0];
+    this.clientInfo = params.clientInfo || null;
+
+    return {
+      protocolVersion: this.protocolVersion,
+      capabilities: {
+        tools: { listChanged: false },
+        resources: { subscribe: false, listChanged: true }
+      },
+      serverInfo: {
+        name: this.server.name,
+        version: this.server.version
+      }
+    };
+  }
+
+  async handleToolsList() {
+    const tools = await this.server.listTools();
+    return { tools };
+  }
+
+  async handleToolsCall(params, context = {}) {
+    const { name, arguments: args = {} } = params;
+
+    if (typeof name !== 'string' || !name) {
+      throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, 'Tool name is required');
+    }
+
+    if (typeof args !== 'object' || args === null || Array.isArray(args)) {
+      throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, 'Tool arguments must be an object');
+    }
+
+    const tools = await this.server.listTools();
+    if (!tools.some(tool => tool.name === name)) {
+      throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, `Unknown tool: ${name}`);
+    }
+
+    const result = await this.server.callTool(name, args, this.createToolContext(context));
+
+    // FluxMcpServer flags failed executions, structured data and extra content on the content item itself
+    const { isError = false, structuredContent, attachments = [], ...content } = result;
+    const response = { content: [content, ...attachments.filter(item => this.supportsContentType(item.type))], isError };
+    if (structuredContent) {
+      response.structuredContent = structuredContent;
+    }
+    return response;
+  }
+
+  supportsContentType(type) {
+    const since = CONTENT_TYPE_VERSIONS[type];
+    // Versions are dates, so they compare as strings; before initialize assume the latest
+    return !since || !this.protocolVersion || this.protocolVersion >= since;
+  }
+
+  createToolContext(context) {
+    const { progressToken, sendNotification, signal } = context;
+
+    // Progress only flows when the client asked for it and the transport can push
+    if (progressToken === undefined || !sendNotification) {
+      return { signal };
+    }
+
+    return {
+      progressToken,
+      sendNotification: (method, params) => sendNotification({ jsonrpc: JSONRPC_VERSION, method, params }),
+      signal
+    };
+  }
+
+  async handleResourcesList(params = {}) {
+    const offset = params.cursor === undefined ? 0 : this.decodeCursor(params.cursor);
+
+    // One extra entry tells whether another page follows
+    const page = await this.server.listResources({ offset, limit: RESOURCE_PAGE_SIZE + 1 });
+    const response = { resources: page.slice(0, RESOURCE_PAGE_SIZE) };
+    if (page.length > RESOURCE_PAGE_SIZE) {
+      response.nextCursor = Buffer.from(String(offset + RESOURCE_PAGE_SIZE)).toString('base64url');
+    }
+    return response;
+  }
+
+  decodeCursor(cursor) {
+    const decoded = typeof cursor === 'string' ? Buffer.from(cursor, 'base64url').toString() : '';
+    if (!/^\d+$/.test(decoded)) {
+      throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, 'Invalid cursor');
+    }
+    return Number(decoded);
+  }
+
+  async handleResourcesRead(params) {
+    const { uri } = params;
+
+    if (typeof uri !== 'string' || !uri) {
+      throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, 'Resource URI is required');
+    }
+
+    let resource;
+    try {
+      resource = await this.server.readResource(uri);
+    } catch (error) {
+      throw new JsonRpcError(ErrorCodes.RESOURCE_NOT_FOUND, 'Resource not found', { uri });
+    }
+
+    if (resource.blob !== undefined) {
+      return {
+        contents: [{ uri, mimeType: resource.mimeType, blob: resource.blob }]
+      };
+    }
+
+    return {
+      contents: [{ uri, mimeType: resource.mimeType || 'text/plain', text: resource.text }]
+    };
+  }
+}
@@ -0,0 +1,446 @@
+// SPDX-License-Identifier: MIT
+/**
+ * 🗂️ Model Registry
+ *
+ * Describes every BFL endpoint the server exposes - parameters, defaults, ranges and pricing -
+ * so tool schemas, validation, API payloads and the endpoint map all come from one place
+ */
+
+const IMAGE_INPUT_FORMATS = 'local path, file:// URL, URL or base64';
+
+// Parameter builders. `schema` is published in the tool's inputSchema; `serverOnly`
+// parameters steer this server and are never sent to BFL. `range` and `lessThan` are
+// cross-field rules checked by validateConstraints.
+const param = (schema, meta = {}) => ({ schema, ...meta });
+
+const prompt = description => param({ type: 'string', minLength: 1, description });
+
+const imageInput = description => param({ type: 'string', description });
+
+const dimension = (axis, defaultValue) => param({
+  type: 'integer',
+  minimum: 256,
+  maximum: 1440,
+  multipleOf: 32,
+  description: `${axis} in pixels (multiple of 32, 256-1440)`,
+  default: defaultValue
+});
+
+const steps = (minimum, maximum, defaultValue) => param({
+  type: 'integer',
+  minimum,
+  maximum,
+  description: `Generation steps (${minimum}-${maximum}, default ${defaultValue})`,
+  default: defaultValue
+});
+
+const guidance = (minimum, maximum, defaultValue) => param({
+  type: 'number',
+  minimum,
+  maximum,
+  description: `Guidance scale (${minimum}-${maximum}, default ${defaultValue})`,
+  default: defaultValue
+});
+
+const safetyTolerance = maximum => param({
+  type: 'integer',
+  minimum: 0,
+  maximum,
+  description: `Safety tolerance (0-${maximum}, default 2)`,
+  default: 2
+});
+
+const aspectRatio = (description, options = {}) => {
+  const { defaultValue, ...meta } = options;
+  const schema = { type: 'string', pattern: '^\\d+:\\d+$', description };
+  if (defaultValue !== undefined) {
+    schema.default = defaultValue;
+  }
+  return param(schema, meta);
+};
+
+const extension = side => param({
+  type: 'integer',
+  minimum: 0,
+  maximum: 2048,
+  description: `Pixels to add ${side} (0-2048)`,
+  default: 0
+});
+
+const seed = param({ type: 'integer', description: 'Seed for reproducibility' });
+
+const promptUpsampling = (description = 'Enable prompt upsampling') => param({
+  type: 'boolean',
+  description,
+  default: false
+});
+
+const outputFormat = param({
+  type: 'string',
+  enum: ['jpeg', 'png'],
+  description: 'Output image format (default jpeg)',
+  default: 'jpeg'
+});
+
+// Parameters every generation tool accepts on top of its model's own
+const COMMON_PARAMETERS = {
+  output_path: param({
+    type: 'string',
+    description: 'Custom output path for the generated image (optional)'
+  }, { serverOnly: true }),
+  filename: param({
+    type: 'string',
+    description: 'Custom filename without extension (optional)'
+  }, { serverOnly: true }),
+  async: param({
+    type: 'boolean',
+    description: 'Return a task ID immediately instead of waiting; use flux_get_task_status and flux_fetch_result to follow up',
+    default: false
+  }, { serverOnly: true }),
+  tags: param({
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Labels stored in the generation history for later search (optional)'
+  }, { serverOnly: true })
+};
+
+// Kontext and Ultra only render frames between 21:9 and 9:21
+const ASPECT_RATIO_RANGE = { min: 9 / 21, max: 21 / 9, label: 'between 21:9 and 9:21' };
+
+const controlParameters = (controlDescription, preprocessedDescription) => ({
+  control_image: imageInput(`${controlDescription}: ${IMAGE_INPUT_FORMATS}`),
+  preprocessed: param({
+    type: 'boolean',
+    description: preprocessedDescription,
+    default: false
+  }, { serverOnly: true })
+});
+
+/**
+ * Models exposed as tools. Pricing is BFL's list price per image in USD at the
+ * time of writing and is only used to inform tool descriptions.
+ */
+export const DEFAULT_MODELS = [
+  {
+    tool: 'flux_pro_generate',
+    endpoint: 'v1/flux-pro',
+    description: 'Generate high-quality images using FLUX.1 [pro] model - best for professional results, detailed scenes, and complex compositions',
+    pricing: { usd: 0.05 },
+    parameters: {
+      prompt: prompt('Detailed text prompt for image generation'),
+      image_prompt: imageInput(`Optional image to use as visual prompt: ${IMAGE_INPUT_FORMATS}`),
+      width: dimension('Width', 1024),
+      height: dimension('Height', 768),
+      steps: steps(1, 50, 40),
+      guidance: guidance(1.5, 5, 2.5),
+      seed,
+      safety_tolerance: safetyTolerance(6),
+      prompt_upsampling: promptUpsampling('Enable prompt upsampling for creativity'),
+      output_format: outputFormat
+    },
+    required: ['prompt']
+  },
+  {
+    tool: 'flux_dev_generate',
+    endpoint: 'v1/flux-dev',
+    description: 'Generate images using FLUX.1 [dev] model - fast, good quality, ideal for experimentation and iterations',
+    pricing: { usd: 0.025 },
+    parameters: {
+      prompt: prompt('Text prompt for image generation'),
+      image_prompt: imageInput(`Optional image prompt: ${IMAGE_INPUT_FORMATS}`),
+      width: dimension('Width', 1024),
+      height: dimension('Height', 768),
+      steps: steps(1, 50, 28),
+      guidance: guidance(1.5, 5, 3),
+      seed,
+      safety_tolerance: safetyTolerance(6),
+      prompt_upsampling: promptUpsampling(),
+      output_format: outputFormat
+    },
+    required: ['prompt']
+  },
+  {
+    tool: 'flux_pro_11_generate',
+    endpoint: 'v1/flux-pro-1.1',
+    description: 'Generate images using FLUX 1.1 [pro] - latest model with improved quality and faster generation',
+    pricing: { usd: 0.04 },
+    parameters: {
+      prompt: prompt('Text prompt for image generation'),
+      image_prompt: imageInput(`Optional image for Flux Redux: ${IMAGE_INPUT_FORMATS}`),
+      width: dimension('Width', 1024),
+      height: dimension('Height', 768),
+      seed,
+      safety_tolerance: safetyTolerance(6),
+      prompt_upsampling: promptUpsampling(),
+      output_format: outputFormat
+    },
+    required: ['prompt']
+  },
+  {
+    tool: 'flux_pro_11_ultra_generate',
+    endpoint: 'v1/flux-pro-1.1-ultra',
+    description: 'Generate 4MP images using FLUX 1.1 [pro] Ultra - highest resolution for hero images, with raw mode for natural, less processed photography',
+    pricing: { usd: 0.06 },
+    parameters: {
+      prompt: prompt('Text prompt for image generation'),
+      image_prompt: imageInput(`Optional image to use as visual prompt: ${IMAGE_INPUT_FORMATS}`),
+      image_prompt_strength: param({
+        type: 'number',
+        minimum: 0,
+        maximum: 1,
+        description: 'How strongly the image prompt steers the result (0-1, default 0.1)',
+        default: 0.1
+      }),
+      aspect_ratio: aspectRatio('Aspect ratio between 21:9 and 9:21 (e.g., \'16:9\', \'1:1\', \'9:16\')', {
+        defaultValue: '16:9',
+        range: ASPECT_RATIO_RANGE
+      }),
+      raw: param({
+        type: 'boolean',
+        description: 'Generate less processed, more natural-looking images',
+        default: false
+      }),
+      seed,
+      safety_tolerance: safetyTolerance(6),
+      prompt_upsampling: promptUpsampling(),
+      output_format: outputFormat
+    },
+    required: ['prompt']
+  },
+  {
+    tool: 'flux_kontext_pro_generate',
+    endpoint: 'v1/flux-kontext-pro',
+    description: 'Edit or create images using Flux Kontext Pro - specialized for image-to-image transformations and edits',
+    pricing: { usd: 0.04 },
+    parameters: {
+      prompt: prompt('Text prompt describing the desired output'),
+      input_image: imageInput(`Input image to edit/transform: ${IMAGE_INPUT_FORMATS}`),
+      aspect_ratio: aspectRatio('Aspect ratio between 21:9 and 9:21 (e.g., \'16:9\', \'1:1\', \'4:3\')', {
+        range: ASPECT_RATIO_RANGE
+      }),
+      seed,
+      safety_tolerance: safetyTolerance(2),
+      prompt_upsampling: promptUpsampling(),
+      output_format: outputFormat
+    },
+    required: ['prompt']
+  },
+  {
+    tool: 'flux_kontext_max_generate',
+    endpoint: 'v1/flux-kontext-max',
+    description: 'Edit or create images using Flux Kontext Max - maximum quality for image-to-image transformations',
+    pricing: { usd: 0.08 },
+    parameters: {
+      prompt: prompt('Text prompt describing the desired output'),
+      input_image: imageInput(`Input image to edit/transform: ${IMAGE_INPUT_FORMATS}`),
+      aspect_ratio: aspectRatio('Aspect ratio between 21:9 and 9:21', { range: ASPECT_RATIO_RANGE }),
+      seed,
+      safety_tolerance: safetyTolerance(2),
+      prompt_upsampling: promptUpsampling(),
+      output_format: outputFormat
+    },
+    required: ['prompt']
+  },
+  {
+    tool: 'flux_fill_generate',
+    endpoint: 'v1/flux-pro-1.0-fill',
+    operation: 'fill',
+    description: 'Inpaint part of an existing image using FLUX.1 Fill [pro] - remove watermarks, replace products or patch regions marked by a mask',
+    pricing: { usd: 0.05 },
+    parameters: {
+      prompt: prompt('Description of what should fill the masked region'),
+      image: imageInput(`Image to edit: ${IMAGE_INPUT_FORMATS}`),
+      mask: imageInput(`Mask with the same dimensions as the image, white where the image should change: ${IMAGE_INPUT_FORMATS} (omit to use the image's alpha channel)`),
+      steps: steps(15, 50, 50),
+      guidance: guidance(1.5, 100, 60),
+      seed,
+      safety_tolerance: safetyTolerance(6),
+      prompt_upsampling: promptUpsampling(),
+      output_format: outputFormat
+    },
+    required: ['prompt', 'image']
+  },
+  {
+    tool: 'flux_expand_generate',
+    endpoint: 'v1/flux-pro-1.0-expand',
+    operation: 'expand',
+    description: 'Outpaint an existing image using FLUX.1 Expand [pro] - extend the canvas on any side, e.g. turn a square hero image into a 16:9 banner',
+    pricing: { usd: 0.05 },
+    parameters: {
+      prompt: prompt('Description of what should appear in the expanded area'),
+      image: imageInput(`Image to expand: ${IMAGE_INPUT_FORMATS}`),
+      top: extension('at the top'),
+      bottom: extension('at the bottom'),
+      left: extension('on the left'),
+      right: extension('on the right'),
+      aspect_ratio: aspectRatio(
+        'Target aspect ratio such as \'16:9\'; the canvas is extended evenly on both sides to reach it (instead of top/bottom/left/right)',
+        { serverOnly: true }
+      ),
+      steps: steps(15, 50, 50),
+      guidance: guidance(1.5, 100, 60),
+      seed,
+      safety_tolerance: safetyTolerance(6),
+      prompt_upsampling: promptUpsampling(),
+      output_format: outputFormat
+    },
+    required: ['prompt', 'image']
+  },
+  {
+    tool: 'flux_canny_generate',
+    endpoint: 'v1/flux-pro-1.0-canny',
+    operation: 'control',
+    description: 'Generate images that follow the edges of a reference image using FLUX.1 Canny [pro] - keep a composition or line layout consistent across illustrations',
+    pricing: { usd: 0.05 },
+    parameters: {
+      prompt: prompt('Text prompt for image generation'),
+      ...controlParameters(
+        'Reference image whose edges guide the composition',
+        'control_image is already a Canny edge map, so skip edge detection'
+      ),
+      canny_low_threshold: param({
+        type: 'integer',
+        minimum: 0,
+        maximum: 500,
+        description: 'Low threshold for Canny edge detection (0-500, default 50)',
+        default: 50
+      }, { lessThan: 'canny_high_threshold' }),
+      canny_high_threshold: param({
+        type: 'integer',
+        minimum: 0,
+        maximum: 500,
+        description: 'High threshold for Canny edge detection (0-500, default 200)',
+        default: 200
+      }),
+      steps: steps(15, 50, 50),
+      guidance: guidance(1, 100, 30),
+      seed,
+      safety_tolerance: safetyTolerance(6),
+      prompt_upsampling: promptUpsampling(),
+      output_format: outputFormat
+    },
+    required: ['prompt', 'control_image']
+  },
+  {
+    tool: 'flux_depth_generate',
+    endpoint: 'v1/flux-pro-1.0-depth',
+    operation: 'control',
+    description: 'Generate images that follow the depth layout of a reference image using FLUX.1 Depth [pro] - reuse spatial structure while changing style and content',
+    pricing: { usd: 0.05 },
+    parameters: {
+      prompt: prompt('Text prompt for image generation'),
+      ...controlParameters(
+        'Reference image whose depth map guides the composition',
+        'control_image is already a depth map, so skip depth estimation'
+      ),
+      steps: steps(15, 50, 50),
+      guidance: guidance(1, 100, 15),
+      seed,
+      safety_tolerance: safetyTolerance(6),
+      prompt_upsampling: promptUpsampling(),
+      output_format: outputFormat
+    },
+    required: ['prompt', 'control_image']
+  }
+];
+
+export class ModelRegistry {
+  constructor(models = DEFAULT_MODELS) {
+    this.models = new Map();
+    models.forEach(model => this.register(model));
+  }
+
+  register(model) {
+    if (!model.tool || !model.endpoint) {
+      throw new Error('Model definitions need a tool name and an endpoint');
+    }
+
+    this.models.set(model.tool, {
+      required: ['prompt'],
+      ...model,
+      parameters: { ...model.parameters, ...COMMON_PARAMETERS }
+    });
+  }
+
+  get(toolName) {
+    return this.models.get(toolName) || null;
+  }
+
+  has(toolName) {
+    return this.models.has(toolName);
+  }
+
+  list() {
+    return [...this.models.values()];
+  }
+
+  getEndpointMap() {
+    return Object.fromEntries(this.list().map(model => [model.tool, model.endpoint]));
+  }
+
+  getToolDefinition(toolName) {
+    const model = this.get(toolName);
+    const properties = Object.fromEntries(
+      Object.entries(model.parameters).map(([name, parameter]) => [name, parameter.schema])
+    );
+
+    return {
+      name: model.tool,
+      description: model.pricing
+        ? `${model.description} (~$${model.pricing.usd} per image)`
+        : model.description,
+      inputSchema: {
+        type: 'object',
+        properties,
+        required: model.required,
+        additionalProperties: false
+      }
+    };
+  }
+
+  /**
+   * Rules JSON Schema can't express, e.g. numeric aspect-ratio ranges or one threshold
+   * below another. Returns [{ path, message }] like validateAgainstSchema.
+   */
+  validateConstraints(toolName, args) {
+    const model = this.get(toolName);
+    const violations = [];
+
+    for (const [name, parameter] of Object.entries(model.parameters)) {
+      if (parameter.range && typeof args[name] === 'string') {
+        const ratio = parseAspectRatio(args[name]);
+        if (ratio && (ratio.width / ratio.height < parameter.range.min || ratio.width / ratio.height > parameter.range.max)) {
+          violations.push({ path: name, message: `${name} must lie ${parameter.range.label}` });
+        }
+      }
+
+      const other = parameter.lessThan;
+      if (other && typeof args[name] === 'number' && typeof args[other] === 'number' && args[name] >= args[other]) {
+        violations.push({ path: name, message: `${name} must be lower than ${other}` });
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Keep only the arguments this model's endpoint understands.
+   */
+  buildPayload(toolName, args) {
+    const { parameters } = this.get(toolName);
+
+    return Object.fromEntries(
+      Object.entries(args).filter(([name, value]) =>
+        value !== undefined && parameters[name] && !parameters[name].serverOnly
+      )
+    );
+  }
+}
+
+export function parseAspectRatio(aspectRatio) {
+  const match = /^(\d+):(\d+)$/.exec(String(aspectRatio));
+  if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) {
+    return null;
+  }
+  return { width: Number(match[1]), height: Number(match[2]) };
+}
@@ -0,0 +1,116 @@
+// SPDX-License-Identifier: MIT
+/**
+ * 📐 Schema Validator
+ *
+ * Validates tool arguments against the JSON Schema subset used by our tool inputSchemas:
+ * type, enum, minimum/maximum, multipleOf, minLength, pattern, required, properties,
+ * additionalProperties, items and minItems/maxItems
+ */
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => typeof value === 'object' && value !== null && !Array.isArray(value)
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'true or false',
+  array: 'an array',
+  object: 'an object'
+};
+
+/**
+ * Collect every violation instead of stopping at the first, so callers can fix
+ * all arguments in one round-trip. Returns [{ path, message }].
+ */
+export function validateAgainstSchema(schema, value, path = '') {
+  const label = path || 'arguments';
+
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+    return [{ path, message: `${label} must be ${TYPE_NAMES[schema.type]}` }];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ path, message: `${label} must be one of: ${schema.enum.join(', ')}` }];
+  }
+
+  const errors = [];
+  const fail = message => errors.push({ path, message: `${label} ${message}` });
+
+  if (typeof value === 'number') {
+    const { minimum, maximum } = schema;
+    if (minimum !== undefined && maximum !== undefined && (value < minimum || value > maximum)) {
+      fail(`must be between ${minimum} and ${maximum}`);
+    } else if (minimum !== undefined && value < minimum) {
+      fail(`must be at least ${minimum}`);
+    } else if (maximum !== undefined && value > maximum) {
+      fail(`must be at most ${maximum}`);
+    }
+
+    if (schema.multipleOf && value % schema.multipleOf !== 0) {
+      fail(`must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match the pattern ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items`);
+    } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(schema.items, item, `${path}[${index}]`));
+    });
+  }
+
+  if (TYPE_CHECKS.object(value) && (schema.properties || schema.required)) {
+    errors.push(...validateObject(schema, value, path));
+  }
+
+  return errors;
+}
+
+function validateObject(schema, value, path) {
+  const errors = [];
+  const properties = schema.properties || {};
+  const childPath = key => (path ? `${path}.${key}` : key);
+
+  for (const key of schema.required || []) {
+    if (value[key] === undefined || value[key] === null) {
+      errors.push({ path: childPath(key), message: `${childPath(key)} is required` });
+    }
+  }
+
+  for (const [key, child] of Object.entries(value)) {
+    if (child === undefined) {
+      continue;
+    }
+
+    if (properties[key]) {
+      errors.push(...validateAgainstSchema(properties[key], child, childPath(key)));
+    } else if (schema.additionalProperties === false) {
+      errors.push({ path: childPath(key), message: `${childPath(key)} is not a supported parameter` });
+    }
+  }
+
+  return errors;
+}
@@ -0,0 +1,89 @@
+// SPDX-License-Identifier: MIT
+/**
+ * 📡 Stdio Transport
+ *
+ * Newline-delimited JSON-RPC framing over stdin/stdout for local MCP clients
+ */
+
+import { EventEmitter } from 'events';
+
+export class StdioTransport extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    const { handler, input = process.stdin, output = process.stdout } = options;
+
+    if (!handler) {
+      throw new Error('Protocol handler is required');
+    }
+
+    this.handler = handler;
+    this.input = input;
+    this.output = output;
+    this.buffer = '';
+    this.pending = new Set();
+    this.closed = false;
+
+    this.onData = (chunk) => this.receive(chunk);
+    this.onEnd = () => this.close();
+  }
+
+  start() {
+    this.input.setEncoding?.('utf8');
+    this.input.on('data', this.onData);
+    this.input.on('end', this.onEnd);
+    this.input.resume?.();
+  }
+
+  receive(chunk) {
+    this.buffer += chunk;
+
+    let newlineIndex;
+    while ((newlineIndex = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, newlineIndex).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(newlineIndex + 1);
+
+      if (line.trim()) {
+        this.dispatch(line);
+      }
+    }
+  }
+
+  dispatch(line) {
+    // Requests run concurrently so a long generation never blocks ping or tools/list
+    const task = this.handler.handleRaw(line, { sendNotification: (message) => this.send(message) })
+      .then(reply => {
+        if (reply !== null) {
+          this.write(reply);
+        }
+      })
+      .catch(error => this.emit('error', error))
+      .finally(() => this.pending.delete(task));
+
+    this.pending.add(task);
+  }
+
+  write(serialized) {
+    if (this.closed) {
+      return;
+    }
+    this.output.write(`${serialized}\n`);
+  }
+
+  send(message) {
+    this.write(JSON.stringify(message));
+  }
+
+  async close() {
+    if (this.closed) {
+      return;
+    }
+
+    this.input.off('data', this.onData);
+    this.input.off('end', this.onEnd);
+
+    // Let in-flight requests answer before the stream goes away
+    await Promise.allSettled([...this.pending]);
+    this.closed = true;
+    this.emit('close');
+  }
+}
@@ -0,0 +1,76 @@
+// SPDX-License-Identifier: MIT
+/**
+ * 🗂️ Task Registry
+ *
+ * In-memory record of submitted generations so they can be checked and fetched later
+ */
+
+export class TaskRegistry {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 500;
+    this.tasks = new Map();
+  }
+
+  register(task) {
+    return this.add(TaskRegistry.createRecord(task));
+  }
+
+  /**
+   * Build a record with the registry defaults without storing it, for tasks known only
+   * by ID until BFL confirms they exist.
+   */
+  static createRecord(task) {
+    if (!task || !task.taskId) {
+      throw new Error('Task ID is required');
+    }
+
+    const now = new Date().toISOString();
+    return {
+      status: 'Submitted',
+      progress: null,
+      imageUrl: null,
+      saveResult: null,
+      error: null,
+      ...task,
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  // Stores the record object itself, so anyone holding it keeps seeing its updates
+  add(record) {
+    this.tasks.set(record.taskId, record);
+    this.evictOldest();
+    return record;
+  }
+
+  get(taskId) {
+    return this.tasks.get(taskId) || null;
+  }
+
+  has(taskId) {
+    return this.tasks.has(taskId);
+  }
+
+  update(taskId, changes) {
+    const record = this.tasks.get(taskId);
+    if (!record) {
+      throw new Error(`Unknown task: ${taskId}`);
+    }
+
+    Object.assign(record, changes, { updatedAt: new Date().toISOString() });
+    return record;
+  }
+
+  list() {
+    return [...this.tasks.values()];
+  }
+
+  evictOldest() {
+    // Map iteration order is insertion order, so the first keys are the oldest
+    while (this.tasks.size > this.maxEntries) {
+      const oldest = this.tasks.keys().next().value;
+      this.tasks.delete(oldest);
+    }
+  }
+}
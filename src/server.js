@@ -1,5 +1,5 @@
-// SPDX-License-Identifier: MIT
 #!/usr/bin/env node
+// SPDX-License-Identifier: MIT
 
 /**
  * 🎨 Flux AI MCP Server - Entry Point
@@ -11,19 +11,45 @@
 import { FluxApiClient } from './FluxApiClient.js';
 import { FileManager } from './FileManager.js';
 import { FluxMcpServer } from './FluxMcpServer.js';
+import { GenerationHistory } from './GenerationHistory.js';
+import { McpProtocolHandler, JSONRPC_VERSION } from './McpProtocolHandler.js';
+import { StdioTransport } from './StdioTransport.js';
+import { HttpTransport } from './HttpTransport.js';
 
 // Configuration
 const API_KEY = process.env.BFL_API_KEY;
+const API_URL = process.env.BFL_API_URL;
+const API_REGION = process.env.BFL_API_REGION;
+const MAX_ATTEMPTS = parseInt(process.env.BFL_MAX_ATTEMPTS || '3', 10);
 const DEFAULT_OUTPUT_DIR = process.env.FLUX_OUTPUT_DIR || '~/Downloads/flux-generated';
+const WORKSPACE_DIR = process.env.FLUX_WORKSPACE_DIR || process.cwd();
+const MAX_INPUT_DIMENSION = parseInt(process.env.FLUX_MAX_INPUT_DIMENSION || '2048', 10);
+const HISTORY_ENABLED = process.env.FLUX_HISTORY !== 'false';
+const SIDECARS_ENABLED = process.env.FLUX_SIDECARS !== 'false';
+const BATCH_CONCURRENCY = parseInt(process.env.FLUX_BATCH_CONCURRENCY || '3', 10);
+const THUMBNAIL_SIZE = parseInt(process.env.FLUX_THUMBNAIL_SIZE || '512', 10);
+const TRANSPORT = (process.env.FLUX_TRANSPORT || 'stdio').toLowerCase();
+const HTTP_PORT = parseInt(process.env.FLUX_HTTP_PORT || '3000', 10);
+const HTTP_HOST = process.env.FLUX_HTTP_HOST || '127.0.0.1';
+const HTTP_TOKEN = process.env.FLUX_HTTP_TOKEN || null;
+const HTTP_ALLOWED_ORIGINS = (process.env.FLUX_HTTP_ALLOWED_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
 
 // Logging with emojis (following user rules)
+// Everything goes to stderr: stdout carries the MCP protocol stream
 const log = {
-  info: (msg) => console.log(`🚀 [flux-mcp-server] info – ${msg}`),
+  info: (msg) => console.error(`🚀 [flux-mcp-server] info – ${msg}`),
   error: (msg) => console.error(`❌ [flux-mcp-server] error – ${msg}`),
-  warn: (msg) => console.warn(`⚠️ [flux-mcp-server] warn – ${msg}`),
-  debug: (msg) => process.env.DEBUG && console.log(`🔍 [flux-mcp-server] debug – ${msg}`)
+  warn: (msg) => console.error(`⚠️ [flux-mcp-server] warn – ${msg}`),
+  debug: (msg) => isDebugEnabled() && console.error(`🔍 [flux-mcp-server] debug – ${msg}`)
 };
 
+function isDebugEnabled() {
+  return Boolean(process.env.DEBUG) && process.env.DEBUG !== 'false';
+}
+
 async function main() {
   try {
     // Validate environment
@@ -35,21 +61,40 @@ async function main() {
     log.info('Initializing Flux AI MCP Server...');
 
     // Initialize components
-    const apiClient = new FluxApiClient(API_KEY);
+    const apiClient = new FluxApiClient(API_KEY, {
+      baseUrl: API_URL,
+      region: API_REGION,
+      retry: { maxAttempts: MAX_ATTEMPTS }
+    });
     const fileManager = new FileManager({ 
-      defaultOutputDir: DEFAULT_OUTPUT_DIR 
+      defaultOutputDir: DEFAULT_OUTPUT_DIR,
+      workspaceDir: WORKSPACE_DIR,
+      maxInputDimension: MAX_INPUT_DIMENSION,
+      sidecars: SIDECARS_ENABLED
+    });
+    const history = HISTORY_ENABLED
+      ? new GenerationHistory({ directory: fileManager.defaultOutputDir })
+      : null;
+    const server = new FluxMcpServer({
+      apiClient,
+      fileManager,
+      history,
+      batchConcurrency: BATCH_CONCURRENCY,
+      thumbnailSize: THUMBNAIL_SIZE
     });
-    const server = new FluxMcpServer({ apiClient, fileManager });
 
     log.info(`Server initialized: ${server.name} v${server.version}`);
+    log.info(`API endpoint: ${apiClient.baseUrl}`);
     log.info(`Output directory: ${fileManager.defaultOutputDir}`);
+    log.info(`Generation history: ${history ? history.filePath : 'disabled'}`);
 
-    // Start MCP server (simplified for this implementation)
-    // In a real MCP server, this would set up the MCP protocol handlers
-    log.info('✅ Flux AI MCP Server ready for Cursor IDE integration');
-    
-    // Keep the server running
-    process.stdin.resume();
+    if (TRANSPORT === 'http') {
+      await startHttp(server);
+    } else if (TRANSPORT === 'stdio') {
+      startStdio(server);
+    } else {
+      throw new Error(`Unknown FLUX_TRANSPORT: ${TRANSPORT} (expected stdio or http)`);
+    }
     
     // Graceful shutdown
     process.on('SIGINT', () => {
@@ -68,8 +113,49 @@ async function main() {
   }
 }
 
+function startStdio(server) {
+  const handler = new McpProtocolHandler({ server, logger: log });
+  const transport = new StdioTransport({ handler });
+
+  transport.on('error', (error) => log.error(`Transport error: ${error.message}`));
+  transport.on('close', () => {
+    log.info('stdin closed, shutting down...');
+    process.exit(0);
+  });
+  server.on('resourcesChanged', () => {
+    // Notifications are only allowed once the client has finished initializing
+    if (handler.initialized) {
+      transport.send({ jsonrpc: JSONRPC_VERSION, method: 'notifications/resources/list_changed' });
+    }
+  });
+
+  transport.start();
+  log.info('✅ Flux AI MCP Server ready for Cursor IDE integration');
+}
+
+async function startHttp(server) {
+  const transport = new HttpTransport({
+    server,
+    logger: log,
+    port: HTTP_PORT,
+    host: HTTP_HOST,
+    authToken: HTTP_TOKEN,
+    allowedOrigins: HTTP_ALLOWED_ORIGINS
+  });
+
+  server.on('resourcesChanged', () => {
+    transport.broadcast({ jsonrpc: JSONRPC_VERSION, method: 'notifications/resources/list_changed' });
+  });
+
+  const { host, port, path } = await transport.start();
+  log.info(`✅ Flux AI MCP Server listening on http://${host}:${port}${path}`);
+  if (!HTTP_TOKEN) {
+    log.warn('FLUX_HTTP_TOKEN is not set - the HTTP endpoint accepts unauthenticated requests');
+  }
+}
+
 // Export components for testing
-export { FluxApiClient, FileManager, FluxMcpServer };
+export { FluxApiClient, FileManager, FluxMcpServer, McpProtocolHandler, StdioTransport, HttpTransport };
 
 // Run if this is the main module
 if (import.meta.url === `file://${process.argv[1]}`) {
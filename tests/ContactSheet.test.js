@@ -0,0 +1,69 @@
+// SPDX-License-Identifier: MIT
+/**
+ * 🧪 TDD Tests for Contact Sheet
+ *
+ * Tests for tiling images into a captioned grid
+ */
+
+import { describe, test, expect } from '@jest/globals';
+
+import { composeContactSheet, fitToTile } from '../src/ContactSheet.js';
+
+const solid = (width, height, value) => ({ width, height, data: Buffer.alloc(width * height * 4, value) });
+
+const pixel = (canvas, x, y) => [...canvas.data.subarray((y * canvas.width + x) * 4, (y * canvas.width + x) * 4 + 4)];
+
+describe('🗂️ ContactSheet', () => {
+  test('should size the grid from tile size, columns and caption lines', () => {
+    const tiles = Array.from({ length: 5 }, () => ({ image: solid(8, 8, 255), label: ['one', 'two'] }));
+
+    const sheet = composeContactSheet(tiles, { tileSize: 32, padding: 4 });
+
+    // 3 columns x 2 rows, each cell 32px plus padding and two 9px caption lines
+    expect(sheet.width).toBe(3 * (32 + 4) + 4);
+    expect(sheet.height).toBe(2 * (32 + 2 * 9 + 2 + 4) + 4);
+    expect(sheet.data.length).toBe(sheet.width * sheet.height * 4);
+  });
+
+  test('should honour an explicit column count', () => {
+    const tiles = Array.from({ length: 4 }, () => ({ image: solid(8, 8, 255), label: [] }));
+
+    const sheet = composeContactSheet(tiles, { tileSize: 16, columns: 4, padding: 0 });
+
+    expect(sheet).toMatchObject({ width: 64, height: 16 });
+  });
+
+  test('should center images scaled to fit their tile', () => {
+    const sheet = composeContactSheet([{ image: solid(40, 20, 255), label: [] }], { tileSize: 20, padding: 0 });
+
+    // 40x20 fits as 20x10, leaving background bands above and below
+    expect(pixel(sheet, 10, 2)).toEqual([32, 32, 32, 255]);
+    expect(pixel(sheet, 10, 10)).toEqual([255, 255, 255, 255]);
+  });
+
+  test('should shrink images to tile size before they are laid out', () => {
+    const tile = solid(16, 16, 255);
+
+    expect(fitToTile(solid(400, 200, 255), 64)).toMatchObject({ width: 64, height: 32 });
+    expect(fitToTile(tile, 16)).toBe(tile);
+  });
+
+  test('should draw a placeholder for missing images', () => {
+    const sheet = composeContactSheet([{ image: null, label: [] }], { tileSize: 16, padding: 0 });
+
+    expect(pixel(sheet, 8, 8)).toEqual([64, 64, 64, 255]);
+  });
+
+  test('should draw captions under each tile', () => {
+    const tiles = [{ image: null, label: ['I'] }];
+    const sheet = composeContactSheet(tiles, { tileSize: 32, padding: 0 });
+    const captionPixels = [];
+    for (let y = 32; y < sheet.height; y++) {
+      for (let x = 0; x < 6; x++) {
+        captionPixels.push(pixel(sheet, x, y)[0]);
+      }
+    }
+
+    expect(captionPixels).toContain(224);
+  });
+});
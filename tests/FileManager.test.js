@@ -9,9 +9,12 @@ import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globa
 import { promises as fs } from 'fs';
 import path from 'path';
 import os from 'os';
+import { createHash } from 'crypto';
 
 // Import the class we'll implement
 import { FileManager } from '../src/FileManager.js';
+import { decodeImage, encodeImage, getImageDimensions } from '../src/ImageUtils.js';
+import { embedMetadata } from '../src/ImageMetadata.js';
 
 describe('📁 FileManager', () => {
   let fileManager;
@@ -164,13 +167,30 @@ describe('📁 FileManager', () => {
       });
       
       expect(savedPath).toBe(path.join(customPath, customFilename));
-      expect(fileManager.fetchImage).toHaveBeenCalledWith(mockImageUrl);
+      expect(fileManager.fetchImage).toHaveBeenCalledWith(mockImageUrl, expect.any(Object));
       
       // Verify file was created
       const fileExists = await fs.access(savedPath).then(() => true).catch(() => false);
       expect(fileExists).toBe(true);
     });
 
+    test('should skip writing when the download is cancelled', async () => {
+      const controller = new AbortController();
+      fileManager.fetchImage = jest.fn(async () => {
+        controller.abort();
+        return mockImageData;
+      });
+
+      await expect(fileManager.saveImageFromUrl(mockImageUrl, {
+        outputPath: tempDir,
+        filename: 'cancelled.jpg',
+        signal: controller.signal
+      })).rejects.toThrow('Download cancelled');
+
+      const fileExists = await fs.access(path.join(tempDir, 'cancelled.jpg')).then(() => true).catch(() => false);
+      expect(fileExists).toBe(false);
+    });
+
     test('should save image with auto-generated filename', async () => {
       const prompt = 'Beautiful landscape';
       const model = 'flux-pro';
@@ -245,6 +265,33 @@ describe('📁 FileManager', () => {
       ).rejects.toThrow('Failed to save image: Network error');
     });
 
+    test('should embed generation metadata and read it back', async () => {
+      const png = encodeImage({ width: 2, height: 2, data: Buffer.alloc(16, 255) }, 'png');
+      const metadata = { prompt: 'Tagged image', model: 'flux-dev', seed: 7, taskId: 'task-1' };
+      fileManager.fetchImage = jest.fn().mockResolvedValue(png);
+
+      await fileManager.saveImageFromUrl(mockImageUrl, { filename: 'tagged.png', metadata });
+      const result = await fileManager.readImageMetadata('tagged.png');
+
+      expect(result).toEqual({ path: path.join(tempDir, 'tagged.png'), format: 'png', metadata });
+    });
+
+    test('should save unrecognised bytes untouched when embedding metadata', async () => {
+      fileManager.fetchImage = jest.fn().mockResolvedValue(mockImageData);
+
+      const savedPath = await fileManager.saveImageFromUrl(mockImageUrl, {
+        filename: 'raw.jpg',
+        metadata: { prompt: 'Raw' }
+      });
+
+      expect(await fs.readFile(savedPath)).toEqual(mockImageData);
+      expect((await fileManager.readImageMetadata(savedPath)).metadata).toBeNull();
+    });
+
+    test('should report missing images when reading metadata', async () => {
+      await expect(fileManager.readImageMetadata('missing.png')).rejects.toThrow('Image not found: missing.png');
+    });
+
     test('should handle file system errors', async () => {
       const readOnlyPath = '/invalid/readonly/path';
       
@@ -259,6 +306,82 @@ describe('📁 FileManager', () => {
     });
   });
 
+  describe('📥 Image Inputs', () => {
+    const imageData = encodeImage({ width: 2, height: 2, data: Buffer.alloc(16, 255) }, 'png');
+
+    test('should load images from absolute paths and file URLs', async () => {
+      const imagePath = path.join(tempDir, 'input.png');
+      await fs.writeFile(imagePath, imageData);
+
+      await expect(fileManager.loadImageInput(imagePath)).resolves.toEqual(imageData);
+      await expect(fileManager.loadImageInput(`file://${imagePath}`)).resolves.toEqual(imageData);
+    });
+
+    test('should decode base64 and data URIs', async () => {
+      const base64 = imageData.toString('base64');
+
+      await expect(fileManager.loadImageInput(base64)).resolves.toEqual(imageData);
+      await expect(fileManager.loadImageInput(`data:image/png;base64,${base64}`)).resolves.toEqual(imageData);
+    });
+
+    test('should download URLs', async () => {
+      fileManager.fetchImage = jest.fn().mockResolvedValue(imageData);
+
+      const result = await fileManager.loadImageInput('https://example.com/input.png');
+
+      expect(result).toEqual(imageData);
+      expect(fileManager.fetchImage).toHaveBeenCalledWith('https://example.com/input.png', expect.any(Object));
+    });
+
+    test('should report missing files', async () => {
+      await expect(fileManager.loadImageInput('./missing/input.png')).rejects.toThrow('Image not found');
+    });
+
+    test('should encode workspace-relative paths as base64', async () => {
+      fileManager = new FileManager({ defaultOutputDir: tempDir, workspaceDir: tempDir });
+      await fs.mkdir(path.join(tempDir, 'refs'));
+      await fs.writeFile(path.join(tempDir, 'refs', 'style.jpg'), imageData);
+
+      await expect(fileManager.encodeImageInput('refs/style.jpg')).resolves.toBe(imageData.toString('base64'));
+      await expect(fileManager.encodeImageInput('~/definitely-missing-flux.png')).rejects.toThrow('Image not found');
+    });
+
+    test('should pass URLs and base64 through unchanged', async () => {
+      const base64 = imageData.toString('base64');
+
+      await expect(fileManager.encodeImageInput('https://example.com/ref.png')).resolves.toBe('https://example.com/ref.png');
+      await expect(fileManager.encodeImageInput(base64)).resolves.toBe(base64);
+    });
+
+    test('should reject files over the size limit', async () => {
+      fileManager = new FileManager({ defaultOutputDir: tempDir, maxInputBytes: 4 });
+      const imagePath = path.join(tempDir, 'big.png');
+      await fs.writeFile(imagePath, imageData);
+
+      await expect(fileManager.encodeImageInput(imagePath)).rejects.toThrow('over the');
+      await expect(fileManager.loadImageInput(imagePath)).rejects.toThrow('over the');
+    });
+
+    test('should refuse to upload local files that are not images', async () => {
+      const secretPath = path.join(tempDir, '.env');
+      await fs.writeFile(secretPath, 'BFL_API_KEY=secret-key-value');
+
+      await expect(fileManager.encodeImageInput(secretPath)).rejects.toThrow('is not a PNG, JPEG or WebP image');
+      await expect(fileManager.loadImageInput(secretPath)).rejects.toThrow('is not a PNG, JPEG or WebP image');
+    });
+
+    test('should downscale oversized local images', async () => {
+      fileManager = new FileManager({ defaultOutputDir: tempDir, maxInputDimension: 32 });
+      const imagePath = path.join(tempDir, 'large.png');
+      const pixels = { width: 128, height: 64, data: Buffer.alloc(128 * 64 * 4, 255) };
+      await fs.writeFile(imagePath, encodeImage(pixels, 'png'));
+
+      const encoded = await fileManager.encodeImageInput(imagePath);
+
+      expect(getImageDimensions(Buffer.from(encoded, 'base64'))).toMatchObject({ width: 32, height: 16 });
+    });
+  });
+
   describe('🔍 File Operations', () => {
     test('should check if file exists', async () => {
       const testFile = path.join(tempDir, 'test-file.txt');
@@ -360,4 +483,297 @@ describe('📁 FileManager', () => {
       expect(results[2].filename).toContain('v3');
     });
   });
+
+  describe('📋 Manifests', () => {
+    const png = encodeImage({ width: 3, height: 2, data: Buffer.alloc(24, 128) }, 'png');
+
+    beforeEach(() => {
+      fileManager.fetchImage = jest.fn().mockResolvedValue(png);
+    });
+
+    test('should not write sidecars unless enabled', async () => {
+      const result = await fileManager.saveGeneratedImage('https://example.com/a.png', { filename: 'plain.png' });
+
+      expect(result.sidecarPath).toBeNull();
+      expect(await fileManager.fileExists(path.join(tempDir, 'plain.png.json'))).toBe(false);
+    });
+
+    test('should write a sidecar with hash, dimensions, request and response', async () => {
+      fileManager = new FileManager({ defaultOutputDir: tempDir, sidecars: true });
+      fileManager.fetchImage = jest.fn().mockResolvedValue(png);
+
+      const result = await fileManager.saveGeneratedImage('https://example.com/a.png', {
+        filename: 'tracked.png',
+        prompt: 'Tracked image',
+        model: 'flux-dev',
+        metadata: { seed: 5, taskId: 'task-1' },
+        manifest: {
+          request: { prompt: 'Tracked image', steps: 28 },
+          response: { id: 'task-1', status: 'Ready' },
+          expert: 'image_expert'
+        }
+      });
+      const sidecar = JSON.parse(await fs.readFile(result.sidecarPath, 'utf8'));
+
+      expect(result.sidecarPath).toBe(path.join(tempDir, 'tracked.png.json'));
+      expect(sidecar).toMatchObject({
+        image: {
+          file: 'tracked.png',
+          sha256: createHash('sha256').update(await fs.readFile(result.savedPath)).digest('hex'),
+          bytes: result.size,
+          format: 'png',
+          width: 3,
+          height: 2
+        },
+        prompt: 'Tracked image',
+        model: 'flux-dev',
+        expert: 'image_expert',
+        sourceUrl: 'https://example.com/a.png',
+        generation: { seed: 5, taskId: 'task-1' },
+        request: { prompt: 'Tracked image', steps: 28 },
+        response: { id: 'task-1', status: 'Ready' },
+        savedAt: expect.any(String)
+      });
+    });
+
+    test('should fall back to the sidecar when the image has no embedded metadata', async () => {
+      fileManager = new FileManager({ defaultOutputDir: tempDir, sidecars: true });
+      fileManager.fetchImage = jest.fn().mockResolvedValue(Buffer.from('fake-image-data'));
+
+      await fileManager.saveGeneratedImage('https://example.com/a.jpg', {
+        filename: 'opaque.jpg',
+        metadata: { tool: 'flux_dev_generate', seed: 5 }
+      });
+
+      expect((await fileManager.readImageMetadata('opaque.jpg')).metadata).toEqual({ tool: 'flux_dev_generate', seed: 5 });
+    });
+
+    test('should write a batch manifest linking every variant', async () => {
+      fileManager = new FileManager({ defaultOutputDir: tempDir, sidecars: true });
+      fileManager.fetchImage = jest.fn().mockResolvedValue(png);
+
+      const results = await fileManager.saveBatch(
+        [{ url: 'https://example.com/1.png' }, { url: 'https://example.com/2.png' }],
+        { basePrompt: 'Red kite', variations: ['seed1', 'seed2'], batchId: 'b1' }
+      );
+      const manifest = JSON.parse(await fs.readFile(results[0].batchManifestPath, 'utf8'));
+      const sidecar = JSON.parse(await fs.readFile(results[1].sidecarPath, 'utf8'));
+
+      expect(results[0].batchManifestPath).toBe(path.join(tempDir, 'Red_kite_b1_batch.json'));
+      expect(manifest).toMatchObject({
+        batchId: 'b1',
+        prompt: 'Red kite',
+        count: 2,
+        variants: [
+          { variation: 'seed1', file: 'Red_kite_b1_seed1.jpg', sidecar: 'Red_kite_b1_seed1.jpg.json' },
+          { variation: 'seed2', file: 'Red_kite_b1_seed2.jpg', sidecar: 'Red_kite_b1_seed2.jpg.json' }
+        ]
+      });
+      expect(sidecar.batch).toBe('Red_kite_b1_batch.json');
+    });
+
+    test('should not overwrite the images of an earlier batch', async () => {
+      const first = await fileManager.saveBatch([{ url: 'https://example.com/1.png', variation: 'seed1' }], { basePrompt: 'Red kite', batchId: 'b1' });
+      const second = await fileManager.saveBatch([{ url: 'https://example.com/1.png', variation: 'seed1' }], { basePrompt: 'Red kite', batchId: 'b2' });
+
+      expect(second[0].savedPath).not.toBe(first[0].savedPath);
+      expect(await fileManager.fileExists(first[0].savedPath)).toBe(true);
+    });
+
+    test('should keep a separate manifest for each batch', async () => {
+      fileManager = new FileManager({ defaultOutputDir: tempDir, sidecars: true });
+      fileManager.fetchImage = jest.fn().mockResolvedValue(png);
+
+      const first = await fileManager.saveBatch([{ url: 'https://example.com/1.png', variation: 'seed1' }], { basePrompt: 'Red kite', batchId: 'b1' });
+      const second = await fileManager.saveBatch([{ url: 'https://example.com/2.png', variation: 'seed2' }], { basePrompt: 'Red kite', batchId: 'b2' });
+
+      expect(second[0].batchManifestPath).not.toBe(first[0].batchManifestPath);
+      expect(JSON.parse(await fs.readFile(first[0].batchManifestPath, 'utf8')).variants).toEqual([
+        expect.objectContaining({ variation: 'seed1' })
+      ]);
+    });
+
+    test('should require a batch ID when saving batch images one at a time', async () => {
+      await expect(fileManager.saveBatchImage({ url: 'https://example.com/1.png', variation: 'seed1' }, { basePrompt: 'Red kite' }))
+        .rejects.toThrow('batchId is required');
+    });
+
+    test('should keep saving a batch after one image fails', async () => {
+      fileManager = new FileManager({ defaultOutputDir: tempDir, sidecars: true });
+      fileManager.fetchImage = jest.fn()
+        .mockRejectedValueOnce(new Error('HTTP 403'))
+        .mockResolvedValue(png);
+
+      const results = await fileManager.saveBatch(
+        [{ url: 'https://example.com/1.png' }, { url: 'https://example.com/2.png' }],
+        { basePrompt: 'Red kite', variations: ['seed1', 'seed2'], batchId: 'b1' }
+      );
+      const manifest = JSON.parse(await fs.readFile(results[1].batchManifestPath, 'utf8'));
+
+      expect(results[0]).toEqual({ variation: 'seed1', savedPath: null, error: expect.stringContaining('HTTP 403') });
+      expect(results[1].savedPath).toBe(path.join(tempDir, 'Red_kite_b1_seed2.jpg'));
+      expect(manifest).toMatchObject({ count: 1, variants: [{ variation: 'seed2' }] });
+    });
+
+    test('should save batch items with their own prompt, model and metadata', async () => {
+      fileManager = new FileManager({ defaultOutputDir: tempDir, sidecars: true });
+      fileManager.fetchImage = jest.fn().mockResolvedValue(png);
+
+      const results = await fileManager.saveBatch([
+        { url: 'https://example.com/1.png', variation: 'seed7', prompt: 'Red kite', model: 'flux-dev', metadata: { seed: 7 } },
+        { url: 'https://example.com/2.png', variation: 'seed8', prompt: 'Red kite', model: 'flux-dev', metadata: { seed: 8 } }
+      ], { basePrompt: 'kites', model: 'flux-dev', batchId: 'batch-1', manifest: { tool: 'flux_dev_generate' } });
+      const manifest = JSON.parse(await fs.readFile(results[0].batchManifestPath, 'utf8'));
+
+      expect(results.map(result => result.filename)).toEqual(['kites_batch-1_seed7.jpg', 'kites_batch-1_seed8.jpg']);
+      expect((await fileManager.readImageMetadata(results[1].savedPath)).metadata).toEqual({ seed: 8 });
+      expect(manifest).toMatchObject({
+        batchId: 'batch-1',
+        tool: 'flux_dev_generate',
+        model: 'flux-dev',
+        variants: [{ variation: 'seed7', seed: 7 }, { variation: 'seed8', seed: 8 }]
+      });
+    });
+  });
+  describe('👀 Thumbnails', () => {
+    const writeImage = async (name, width, height, format) => {
+      const filePath = path.join(tempDir, name);
+      await fs.writeFile(filePath, encodeImage({ width, height, data: Buffer.alloc(width * height * 4, 90) }, format));
+      return filePath;
+    };
+
+    test('should shrink large images into a JPEG preview', async () => {
+      const thumbnail = await fileManager.createThumbnail(await writeImage('big.png', 200, 100, 'png'), 50);
+
+      expect(thumbnail).toMatchObject({ mimeType: 'image/jpeg', width: 50, height: 25 });
+      expect(getImageDimensions(thumbnail.data)).toEqual({ format: 'jpeg', width: 50, height: 25 });
+    });
+
+    test('should return small images unchanged', async () => {
+      const filePath = await writeImage('small.png', 20, 10, 'png');
+
+      const thumbnail = await fileManager.createThumbnail(filePath, 50);
+
+      expect(thumbnail.mimeType).toBe('image/png');
+      expect(thumbnail.data).toEqual(await fs.readFile(filePath));
+    });
+
+    test('should refuse formats it cannot decode', async () => {
+      const filePath = path.join(tempDir, 'photo.webp');
+      const webp = Buffer.alloc(30);
+      webp.write('RIFF', 0, 'ascii');
+      webp.write('WEBPVP8 ', 8, 'ascii');
+      await fs.writeFile(filePath, webp);
+
+      await expect(fileManager.createThumbnail(filePath, 50)).rejects.toThrow('Cannot make a thumbnail of webp images');
+    });
+  });
+
+  describe('📚 Saved Image Resources', () => {
+    const png = encodeImage({ width: 2, height: 2, data: Buffer.alloc(16, 255) }, 'png');
+
+    test('should list images under the output directory, skipping hidden files', async () => {
+      await fs.mkdir(path.join(tempDir, 'harbor'));
+      await fs.writeFile(path.join(tempDir, 'harbor', 'fog.png'), png);
+      await fs.writeFile(path.join(tempDir, 'harbor', 'fog.png.json'), '{}');
+      await fs.writeFile(path.join(tempDir, '.flux-history.jsonl'), '');
+      await fs.writeFile(path.join(tempDir, 'notes.txt'), 'not an image');
+
+      const images = await fileManager.listSavedImages();
+
+      expect(images).toEqual([{
+        path: path.join(tempDir, 'harbor', 'fog.png'),
+        relativePath: path.join('harbor', 'fog.png'),
+        mimeType: 'image/png',
+        size: png.length,
+        modifiedAt: expect.any(String)
+      }]);
+    });
+
+    test('should list images saved to a ~ default output directory', async () => {
+      const homedir = jest.spyOn(os, 'homedir').mockReturnValue(tempDir);
+      try {
+        fileManager = new FileManager({ defaultOutputDir: '~/Downloads/flux-generated' });
+        fileManager.fetchImage = jest.fn().mockResolvedValue(png);
+
+        const { savedPath } = await fileManager.saveGeneratedImage('https://example.com/a.png', { filename: 'harbor.png' });
+        const images = await fileManager.listSavedImages();
+
+        expect(fileManager.defaultOutputDir).toBe(path.join(tempDir, 'Downloads', 'flux-generated'));
+        expect(savedPath).toBe(path.join(tempDir, 'Downloads', 'flux-generated', 'harbor.png'));
+        expect(images.map(image => image.path)).toEqual([savedPath]);
+        expect(fileManager.getOutputRelativePath(savedPath)).toBe('harbor.png');
+      } finally {
+        homedir.mockRestore();
+      }
+    });
+
+    test('should list nothing before the output directory exists', async () => {
+      fileManager = new FileManager({ defaultOutputDir: path.join(tempDir, 'missing') });
+
+      expect(await fileManager.listSavedImages()).toEqual([]);
+    });
+
+    test('should only give relative paths for files inside the output directory', () => {
+      expect(fileManager.getOutputRelativePath(path.join(tempDir, 'a', 'b.png'))).toBe(path.join('a', 'b.png'));
+      expect(fileManager.getOutputRelativePath(path.join(os.tmpdir(), 'elsewhere.png'))).toBeNull();
+    });
+
+    test('should read saved images but nothing outside the output directory', async () => {
+      await fs.writeFile(path.join(tempDir, 'fog.png'), png);
+
+      expect(await fileManager.readSavedImage('fog.png')).toEqual({
+        path: path.join(tempDir, 'fog.png'),
+        mimeType: 'image/png',
+        data: png
+      });
+      await expect(fileManager.readSavedImage('../etc/passwd.png')).rejects.toThrow('Not a saved image');
+      await expect(fileManager.readSavedImage('.flux-history.jsonl')).rejects.toThrow('Not a saved image');
+    });
+  });
+
+  describe('🗂️ Contact Sheets', () => {
+    const writeImage = async (name, format, metadata) => {
+      const image = encodeImage({ width: 40, height: 20, data: Buffer.alloc(40 * 20 * 4, 200) }, format);
+      await fs.writeFile(path.join(tempDir, name), metadata ? embedMetadata(image, metadata) : image);
+    };
+
+    test('should tile saved images into a PNG grid', async () => {
+      await writeImage('a.png', 'png', { model: 'flux-dev', seed: 1, parameters: { steps: 28 } });
+      await writeImage('b.jpg', 'jpeg', { model: 'flux-dev', seed: 2 });
+      await writeImage('c.png', 'png');
+
+      const result = await fileManager.createContactSheet(['a.png', 'b.jpg', 'c.png'], {
+        tileSize: 64,
+        filename: 'sheet'
+      });
+      const sheet = decodeImage(await fs.readFile(result.savedPath));
+
+      expect(result).toMatchObject({
+        savedPath: path.join(tempDir, 'sheet.png'),
+        filename: 'sheet.png',
+        columns: 2,
+        count: 3
+      });
+      expect(sheet).toMatchObject({ width: result.width, height: result.height });
+      expect(result.width).toBe(2 * (64 + 8) + 8);
+    });
+
+    test('should keep a placeholder for images it cannot decode', async () => {
+      const webp = Buffer.alloc(30);
+      webp.write('RIFF', 0, 'ascii');
+      webp.write('WEBPVP8 ', 8, 'ascii');
+      await fs.writeFile(path.join(tempDir, 'odd.webp'), webp);
+
+      const result = await fileManager.createContactSheet(['odd.webp'], { tileSize: 64 });
+
+      expect(result.count).toBe(1);
+      expect(result.filename).toMatch(/^contact_sheet_\d+\.png$/);
+    });
+
+    test('should reject missing images and empty lists', async () => {
+      await expect(fileManager.createContactSheet([])).rejects.toThrow('At least one image is required');
+      await expect(fileManager.createContactSheet(['missing.png'])).rejects.toThrow('Image not found: missing.png');
+    });
+  });
 }); 
\ No newline at end of file
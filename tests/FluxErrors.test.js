@@ -0,0 +1,80 @@
+// SPDX-License-Identifier: MIT
+/**
+ * 🧪 TDD Tests for Flux Errors
+ *
+ * Tests for mapping BFL responses onto typed errors
+ */
+
+import { describe, test, expect } from '@jest/globals';
+
+import {
+  createHttpError,
+  formatValidationErrors,
+  FluxApiError,
+  FluxAuthenticationError,
+  FluxInsufficientCreditsError,
+  FluxRateLimitError,
+  FluxValidationError,
+  FluxNetworkError
+} from '../src/FluxErrors.js';
+
+describe('🚨 FluxErrors', () => {
+  describe('🗺️ HTTP Status Mapping', () => {
+    test.each([
+      [401, FluxAuthenticationError, 'authentication'],
+      [403, FluxAuthenticationError, 'authentication'],
+      [402, FluxInsufficientCreditsError, 'insufficient_credits'],
+      [429, FluxRateLimitError, 'rate_limited'],
+      [422, FluxValidationError, 'validation'],
+      [500, FluxApiError, 'api']
+    ])('should map HTTP %i to the right type', (status, ErrorType, kind) => {
+      const error = createHttpError(status, 'Status', { taskId: 'task-1', body: { detail: 'nope' } });
+
+      expect(error).toBeInstanceOf(ErrorType);
+      expect(error).toBeInstanceOf(FluxApiError);
+      expect(error.kind).toBe(kind);
+      expect(error.status).toBe(status);
+      expect(error.taskId).toBe('task-1');
+      expect(error.message).toContain(`HTTP ${status}`);
+    });
+
+    test('should carry Retry-After on rate limits', () => {
+      const error = createHttpError(429, 'Too Many Requests', { retryAfter: 5000 });
+
+      expect(error.retryAfter).toBe(5000);
+      expect(error.retryable).toBe(true);
+    });
+
+    test('should expose BFL 422 detail entries', () => {
+      const body = {
+        detail: [
+          { loc: ['body', 'width'], msg: 'ensure this value is a multiple of 32', type: 'value_error' },
+          { loc: ['body', 'steps'], msg: 'ensure this value is less than or equal to 50', type: 'value_error' }
+        ]
+      };
+
+      const error = createHttpError(422, 'Unprocessable Entity', { body });
+
+      expect(error.validationErrors).toHaveLength(2);
+      expect(error.body).toBe(body);
+      expect(error.message).toBe(
+        'HTTP 422: Unprocessable Entity - width: ensure this value is a multiple of 32; steps: ensure this value is less than or equal to 50'
+      );
+    });
+  });
+
+  describe('🧾 Formatting', () => {
+    test('should format validation errors without a location', () => {
+      expect(formatValidationErrors([{ msg: 'bad request' }])).toBe('bad request');
+    });
+
+    test('should mark network errors as retryable', () => {
+      const cause = new Error('ECONNRESET');
+      const error = new FluxNetworkError('Network error: ECONNRESET', { cause });
+
+      expect(error.retryable).toBe(true);
+      expect(error.cause).toBe(cause);
+      expect(error.kind).toBe('network');
+    });
+  });
+});
@@ -6,10 +6,23 @@
  */
 
 import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import path from 'path';
 
 // Import the classes we'll implement
 import { FluxMcpServer } from '../src/FluxMcpServer.js';
 import { ExpertPrompts } from '../src/ExpertPrompts.js';
+import { createHttpError, FluxCancelledError, FluxTimeoutError } from '../src/FluxErrors.js';
+import { ModelRegistry } from '../src/ModelRegistry.js';
+import { TaskRegistry } from '../src/TaskRegistry.js';
+
+const pngHeader = (width, height) => {
+  const buffer = Buffer.alloc(33);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer);
+  buffer.write('IHDR', 12, 'ascii');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+};
 
 describe('🎨 FluxMcpServer', () => {
   let server;
@@ -34,7 +47,11 @@ describe('🎨 FluxMcpServer', () => {
         size: 1024
       }),
       generateFilename: jest.fn().mockReturnValue('generated_image_flux-pro_20240128_120000'),
-      resolvePath: jest.fn().mockReturnValue('/tmp/test')
+      resolvePath: jest.fn().mockReturnValue('/tmp/test'),
+      encodeImageInput: jest.fn(async value => value),
+      createThumbnail: jest.fn().mockResolvedValue({ data: Buffer.from('thumbnail'), mimeType: 'image/jpeg' }),
+      listSavedImages: jest.fn().mockResolvedValue([]),
+      getOutputRelativePath: jest.fn().mockReturnValue(null)
     };
 
     server = new FluxMcpServer({
@@ -115,6 +132,96 @@ describe('🎨 FluxMcpServer', () => {
         server.readResource('flux-expert://unknown_expert')
       ).rejects.toThrow('Unknown resource');
     });
+
+    test('should list saved images with their generation metadata', async () => {
+      mockFileManager.listSavedImages.mockResolvedValue([{
+        path: '/tmp/test/harbor/foggy harbor.png',
+        relativePath: path.join('harbor', 'foggy harbor.png'),
+        mimeType: 'image/png',
+        size: 2048,
+        modifiedAt: '2025-01-20T18:30:00.000Z'
+      }]);
+      const metadata = { prompt: 'Foggy harbor', model: 'flux-dev', seed: 99 };
+      mockFileManager.readSidecarMetadata = jest.fn().mockResolvedValue(null);
+      mockFileManager.readImageMetadata = jest.fn().mockResolvedValue({ path: '/tmp/test/harbor/foggy harbor.png', format: 'png', metadata });
+
+      const resources = await server.listResources();
+
+      expect(resources).toContainEqual({
+        uri: 'flux-image://harbor/foggy%20harbor.png',
+        name: 'harbor/foggy harbor.png',
+        description: 'Foggy harbor (flux-dev, seed 99)',
+        mimeType: 'image/png',
+        size: 2048,
+        annotations: { lastModified: '2025-01-20T18:30:00.000Z' },
+        _meta: { generation: metadata }
+      });
+    });
+
+    test('should only read metadata for the requested page, sidecars first', async () => {
+      mockFileManager.listSavedImages.mockResolvedValue(['a.png', 'b.png', 'c.png'].map(name => ({
+        path: `/tmp/test/${name}`,
+        relativePath: name,
+        mimeType: 'image/png',
+        size: 1,
+        modifiedAt: '2025-01-20T18:30:00.000Z'
+      })));
+      mockFileManager.readSidecarMetadata = jest.fn().mockResolvedValue({ prompt: 'From sidecar', seed: 1 });
+      mockFileManager.readImageMetadata = jest.fn();
+
+      const resources = await server.listResources({ offset: 1, limit: 3 });
+
+      expect(resources.map(resource => resource.uri)).toEqual([
+        'flux-expert://logo_expert',
+        'flux-image://a.png',
+        'flux-image://b.png'
+      ]);
+      expect(mockFileManager.readSidecarMetadata).toHaveBeenCalledTimes(2);
+      expect(mockFileManager.readImageMetadata).not.toHaveBeenCalled();
+    });
+
+    test('should read a saved image as a blob', async () => {
+      mockFileManager.readSavedImage = jest.fn().mockResolvedValue({
+        path: '/tmp/test/harbor/foggy harbor.png',
+        mimeType: 'image/png',
+        data: Buffer.from('png bytes')
+      });
+
+      const content = await server.readResource('flux-image://harbor/foggy%20harbor.png');
+
+      expect(mockFileManager.readSavedImage).toHaveBeenCalledWith(path.join('harbor', 'foggy harbor.png'));
+      expect(content).toEqual({
+        type: 'blob',
+        blob: Buffer.from('png bytes').toString('base64'),
+        mimeType: 'image/png'
+      });
+    });
+
+    test('should report unreadable images as unknown resources', async () => {
+      mockFileManager.readSavedImage = jest.fn().mockRejectedValue(new Error('Not a saved image: ../secret.png'));
+
+      await expect(server.readResource('flux-image://..%2Fsecret.png')).rejects.toThrow('Unknown resource');
+    });
+
+    test('should announce new images after a generation is saved', async () => {
+      const listener = jest.fn();
+      server.on('resourcesChanged', listener);
+
+      await server.callTool('flux_dev_generate', { prompt: 'Foggy harbor' });
+
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    test('should link saved images by resource URI', async () => {
+      mockFileManager.getOutputRelativePath.mockReturnValue('generated_image_flux-pro_20240128_120000.jpg');
+
+      const result = await server.callTool('flux_dev_generate', { prompt: 'Foggy harbor' });
+
+      expect(result.attachments).toContainEqual(expect.objectContaining({
+        type: 'resource_link',
+        uri: 'flux-image://generated_image_flux-pro_20240128_120000.jpg'
+      }));
+    });
   });
 
   describe('🛠️ Tool Management', () => {
@@ -143,6 +250,10 @@ describe('🎨 FluxMcpServer', () => {
             name: 'flux_pro_11_generate',
             description: expect.stringContaining('FLUX 1.1 [pro]')
           }),
+          expect.objectContaining({
+            name: 'flux_pro_11_ultra_generate',
+            description: expect.stringContaining('FLUX 1.1 [pro] Ultra')
+          }),
           expect.objectContaining({
             name: 'flux_kontext_pro_generate',
             description: expect.stringContaining('Flux Kontext Pro')
@@ -150,6 +261,22 @@ describe('🎨 FluxMcpServer', () => {
           expect.objectContaining({
             name: 'flux_kontext_max_generate',
             description: expect.stringContaining('Flux Kontext Max')
+          }),
+          expect.objectContaining({
+            name: 'flux_fill_generate',
+            description: expect.stringContaining('FLUX.1 Fill [pro]')
+          }),
+          expect.objectContaining({
+            name: 'flux_expand_generate',
+            description: expect.stringContaining('FLUX.1 Expand [pro]')
+          }),
+          expect.objectContaining({
+            name: 'flux_canny_generate',
+            description: expect.stringContaining('FLUX.1 Canny [pro]')
+          }),
+          expect.objectContaining({
+            name: 'flux_depth_generate',
+            description: expect.stringContaining('FLUX.1 Depth [pro]')
           })
         ])
       );
@@ -157,8 +284,10 @@ describe('🎨 FluxMcpServer', () => {
 
     test('should validate tool schemas', async () => {
       const tools = await server.listTools();
+      // flux_batch_generate takes a prompt or a list of prompts, so it is checked separately
+      const generationTools = tools.filter(tool => tool.name.endsWith('_generate') && tool.name !== 'flux_batch_generate');
       
-      tools.forEach(tool => {
+      generationTools.forEach(tool => {
         expect(tool.inputSchema).toMatchObject({
           type: 'object',
           properties: expect.objectContaining({
@@ -214,7 +343,7 @@ describe('🎨 FluxMcpServer', () => {
     test('should execute flux_pro_generate successfully', async () => {
       const args = {
         prompt: 'A beautiful landscape',
-        width: 1920,
+        width: 1440,
         height: 1088, // 1088 is divisible by 32 (34 * 32)
         output_path: '~/Projects/landscapes/',
         filename: 'epic_landscape'
@@ -224,11 +353,11 @@ describe('🎨 FluxMcpServer', () => {
 
       expect(mockApiClient.submitGeneration).toHaveBeenCalledWith('v1/flux-pro', {
         prompt: 'A beautiful landscape',
-        width: 1920,
+        width: 1440,
         height: 1088
-      });
+      }, expect.any(Object));
 
-      expect(mockApiClient.waitForCompletion).toHaveBeenCalledWith('test-task-123');
+      expect(mockApiClient.waitForCompletion).toHaveBeenCalledWith('test-task-123', expect.any(Object));
 
       expect(mockFileManager.saveGeneratedImage).toHaveBeenCalledWith(
         'https://example.com/generated-image.jpg',
@@ -242,7 +371,11 @@ describe('🎨 FluxMcpServer', () => {
 
       expect(result).toEqual({
         type: 'text',
-        text: expect.stringContaining('✅ **Image Generated Successfully!**')
+        text: expect.stringContaining('✅ **Image Generated Successfully!**'),
+        attachments: [
+          expect.objectContaining({ type: 'image', mimeType: 'image/jpeg' }),
+          expect.objectContaining({ type: 'resource_link' })
+        ]
       });
     });
 
@@ -255,7 +388,7 @@ describe('🎨 FluxMcpServer', () => {
 
       expect(mockApiClient.submitGeneration).toHaveBeenCalledWith('v1/flux-dev', {
         prompt: 'Quick concept art'
-      });
+      }, expect.any(Object));
 
       expect(result.text).toContain('Flux Dev Generate');
     });
@@ -276,7 +409,207 @@ describe('🎨 FluxMcpServer', () => {
         prompt: 'Transform to cyberpunk style',
         input_image: 'base64-encoded-image-data',
         aspect_ratio: '16:9'
+      }, expect.any(Object));
+    });
+
+    test('should execute flux_pro_11_ultra_generate with raw mode', async () => {
+      const args = {
+        prompt: 'Hero shot of a mountain lodge',
+        aspect_ratio: '21:9',
+        raw: true,
+        image_prompt_strength: 0.3,
+        output_format: 'png'
+      };
+
+      const result = await server.callTool('flux_pro_11_ultra_generate', args);
+
+      expect(mockApiClient.submitGeneration).toHaveBeenCalledWith('v1/flux-pro-1.1-ultra', args, expect.any(Object));
+      expect(mockFileManager.saveGeneratedImage).toHaveBeenCalledWith(
+        'https://example.com/generated-image.jpg',
+        expect.objectContaining({ outputFormat: 'png' })
+      );
+      expect(result.text).toContain('Aspect ratio: 21:9');
+    });
+
+    test('should encode local image prompts before submitting', async () => {
+      mockFileManager.encodeImageInput.mockResolvedValueOnce('ZW5jb2RlZA==');
+
+      await server.callTool('flux_pro_11_generate', {
+        prompt: 'Same style, new subject',
+        image_prompt: '~/refs/style.png'
+      });
+
+      expect(mockFileManager.encodeImageInput).toHaveBeenCalledWith('~/refs/style.png');
+      expect(mockApiClient.submitGeneration).toHaveBeenCalledWith('v1/flux-pro-1.1', {
+        prompt: 'Same style, new subject',
+        image_prompt: 'ZW5jb2RlZA=='
+      }, expect.any(Object));
+      expect(server.taskRegistry.get('test-task-123').args.image_prompt).toBe('~/refs/style.png');
+    });
+
+    test('should execute flux_fill_generate with image and mask', async () => {
+      const image = pngHeader(1024, 768);
+      const mask = pngHeader(1024, 768);
+      mockFileManager.loadImageInput = jest.fn()
+        .mockResolvedValueOnce(image)
+        .mockResolvedValueOnce(mask);
+
+      const result = await server.callTool('flux_fill_generate', {
+        prompt: 'Remove the watermark',
+        image: '/assets/product.png',
+        mask: '/assets/watermark-mask.png'
+      });
+
+      expect(result.isError).toBeUndefined();
+      expect(mockApiClient.submitGeneration).toHaveBeenCalledWith('v1/flux-pro-1.0-fill', {
+        prompt: 'Remove the watermark',
+        image: image.toString('base64'),
+        mask: mask.toString('base64')
+      }, expect.any(Object));
+      expect(server.taskRegistry.get('test-task-123').args.image).toBe('/assets/product.png');
+    });
+
+    test('should reject fill masks that do not match the image size', async () => {
+      mockFileManager.loadImageInput = jest.fn()
+        .mockResolvedValueOnce(pngHeader(1024, 768))
+        .mockResolvedValueOnce(pngHeader(512, 512));
+
+      const result = await server.callTool('flux_fill_generate', {
+        prompt: 'Replace the product',
+        image: 'https://example.com/product.png',
+        mask: 'https://example.com/mask.png'
+      });
+
+      expect(result.isError).toBe(true);
+      expect(result.text).toContain('mask is 512x512 but image is 1024x768');
+      expect(mockApiClient.submitGeneration).not.toHaveBeenCalled();
+    });
+
+    test('should execute flux_expand_generate with explicit extensions', async () => {
+      const image = pngHeader(1024, 1024);
+      mockFileManager.loadImageInput = jest.fn().mockResolvedValue(image);
+
+      await server.callTool('flux_expand_generate', {
+        prompt: 'Continue the beach scene',
+        image: '/assets/hero.png',
+        left: 256,
+        right: 256
+      });
+
+      expect(mockApiClient.submitGeneration).toHaveBeenCalledWith('v1/flux-pro-1.0-expand', {
+        prompt: 'Continue the beach scene',
+        image: image.toString('base64'),
+        top: 0,
+        bottom: 0,
+        left: 256,
+        right: 256
+      }, expect.any(Object));
+      expect(mockFileManager.saveGeneratedImage).toHaveBeenCalledWith(
+        'https://example.com/generated-image.jpg',
+        expect.objectContaining({ model: 'flux-expand-l256-r256' })
+      );
+    });
+
+    test('should convert a target aspect ratio into extensions', async () => {
+      mockFileManager.loadImageInput = jest.fn().mockResolvedValue(pngHeader(1024, 1024));
+
+      await server.callTool('flux_expand_generate', {
+        prompt: 'Widen into a banner',
+        image: '/assets/hero.png',
+        aspect_ratio: '16:9'
+      });
+
+      const payload = mockApiClient.submitGeneration.mock.calls[0][1];
+      expect(payload).toMatchObject({ top: 0, bottom: 0, left: 398, right: 398 });
+      expect(payload.aspect_ratio).toBeUndefined();
+      expect(mockFileManager.saveGeneratedImage).toHaveBeenCalledWith(
+        'https://example.com/generated-image.jpg',
+        expect.objectContaining({ model: 'flux-expand-to-16x9' })
+      );
+    });
+
+    test.each([
+      [{ aspect_ratio: '1:1' }, 'already 1:1'],
+      [{ aspect_ratio: '16:9', left: 100 }, 'not both'],
+      [{ top: 4096 }, 'top must be between 0 and 2048'],
+      [{}, 'nothing to expand']
+    ])('should reject invalid expansions %o', async (overrides, message) => {
+      mockFileManager.loadImageInput = jest.fn().mockResolvedValue(pngHeader(1024, 1024));
+
+      const result = await server.callTool('flux_expand_generate', {
+        prompt: 'Expand',
+        image: '/assets/hero.png',
+        ...overrides
+      });
+
+      expect(result.isError).toBe(true);
+      expect(result.text).toContain(message);
+      expect(mockApiClient.submitGeneration).not.toHaveBeenCalled();
+    });
+
+    test('should execute flux_canny_generate with thresholds', async () => {
+      const controlImage = Buffer.from('reference-image');
+      mockFileManager.loadImageInput = jest.fn().mockResolvedValue(controlImage);
+
+      await server.callTool('flux_canny_generate', {
+        prompt: 'Flat vector illustration of a dashboard',
+        control_image: '/assets/wireframe.png',
+        canny_low_threshold: 80,
+        canny_high_threshold: 240
+      });
+
+      expect(mockFileManager.loadImageInput).toHaveBeenCalledWith('/assets/wireframe.png', expect.any(Object));
+      expect(mockApiClient.submitGeneration).toHaveBeenCalledWith('v1/flux-pro-1.0-canny', {
+        prompt: 'Flat vector illustration of a dashboard',
+        control_image: controlImage.toString('base64'),
+        canny_low_threshold: 80,
+        canny_high_threshold: 240
+      }, expect.any(Object));
+    });
+
+    test('should send preprocessed depth maps as preprocessed_image', async () => {
+      const depthMap = Buffer.from('depth-map');
+      mockFileManager.loadImageInput = jest.fn().mockResolvedValue(depthMap);
+
+      await server.callTool('flux_depth_generate', {
+        prompt: 'Isometric office in pastel colors',
+        control_image: 'https://example.com/depth.png',
+        preprocessed: true
+      });
+
+      const payload = mockApiClient.submitGeneration.mock.calls[0][1];
+      expect(mockApiClient.submitGeneration.mock.calls[0][0]).toBe('v1/flux-pro-1.0-depth');
+      expect(payload.preprocessed_image).toBe(depthMap.toString('base64'));
+      expect(payload.control_image).toBeUndefined();
+      expect(payload.preprocessed).toBeUndefined();
+    });
+
+    test('should reject inverted canny thresholds', async () => {
+      mockFileManager.loadImageInput = jest.fn();
+
+      const result = await server.callTool('flux_canny_generate', {
+        prompt: 'Test',
+        control_image: '/assets/wireframe.png',
+        canny_low_threshold: 300,
+        canny_high_threshold: 100
       });
+
+      expect(result.isError).toBe(true);
+      expect(result.text).toContain('canny_low_threshold must be lower');
+      expect(mockFileManager.loadImageInput).not.toHaveBeenCalled();
+    });
+
+    test('should poll the polling URL returned by submission', async () => {
+      mockApiClient.submitGeneration.mockResolvedValue({
+        id: 'test-task-123',
+        polling_url: 'https://api.eu1.bfl.ai/v1/get_result?id=test-task-123'
+      });
+
+      await server.callTool('flux_pro_generate', { prompt: 'Regional task' });
+
+      expect(mockApiClient.waitForCompletion).toHaveBeenCalledWith('test-task-123', expect.objectContaining({
+        pollingUrl: 'https://api.eu1.bfl.ai/v1/get_result?id=test-task-123'
+      }));
     });
 
     test('should handle API errors gracefully', async () => {
@@ -290,6 +623,25 @@ describe('🎨 FluxMcpServer', () => {
       expect(result.text).toContain('API Error');
     });
 
+    test('should show actionable hints for typed API errors', async () => {
+      mockApiClient.submitGeneration.mockRejectedValue(createHttpError(402, 'Payment Required'));
+
+      const result = await server.callTool('flux_pro_generate', { prompt: 'Test prompt' });
+
+      expect(result.isError).toBe(true);
+      expect(result.text).toContain('HTTP 402');
+      expect(result.text).toContain('out of credits');
+    });
+
+    test('should include the task ID when a task times out', async () => {
+      mockApiClient.waitForCompletion.mockRejectedValue(new FluxTimeoutError('Task timed out', { taskId: 'slow-task' }));
+
+      const result = await server.callTool('flux_pro_generate', { prompt: 'Test prompt' });
+
+      expect(result.text).toContain('🆔 **Task ID:** slow-task');
+      expect(result.text).toContain('may still finish');
+    });
+
     test('should handle file saving errors', async () => {
       mockFileManager.saveGeneratedImage.mockRejectedValue(new Error('File save error'));
 
@@ -333,101 +685,1450 @@ describe('🎨 FluxMcpServer', () => {
     });
   });
 
-  describe('🎯 Parameter Processing', () => {
-    test('should filter out file management parameters from API payload', async () => {
-      const args = {
-        prompt: 'Test image',
-        width: 1024,
-        height: 768,
-        output_path: '~/custom/path/',
-        filename: 'custom_name',
-        steps: 40
-      };
+  describe('⏳ Asynchronous Generation', () => {
+    const readyResult = {
+      id: 'test-task-123',
+      status: 'Ready',
+      result: { sample: 'https://example.com/generated-image.jpg' }
+    };
 
-      await server.callTool('flux_pro_generate', args);
+    beforeEach(() => {
+      mockApiClient.getResult = jest.fn().mockResolvedValue({ id: 'test-task-123', status: 'Pending', progress: 40 });
+      mockApiClient.submitGeneration.mockResolvedValue({
+        id: 'test-task-123',
+        polling_url: 'https://api.eu1.bfl.ai/v1/get_result?id=test-task-123'
+      });
+    });
 
-      expect(mockApiClient.submitGeneration).toHaveBeenCalledWith('v1/flux-pro', {
-        prompt: 'Test image',
-        width: 1024,
-        height: 768,
-        steps: 40
+    test('should list task follow-up tools', async () => {
+      const tools = await server.listTools();
+      const names = tools.map(tool => tool.name);
+
+      expect(names).toEqual(expect.arrayContaining(['flux_get_task_status', 'flux_fetch_result']));
+      expect(tools.find(t => t.name === 'flux_pro_generate').inputSchema.properties.async)
+        .toMatchObject({ type: 'boolean', default: false });
+    });
+
+    test('should return a task ID immediately in async mode', async () => {
+      const result = await server.callTool('flux_pro_generate', {
+        prompt: 'Async landscape',
+        async: true,
+        filename: 'async_landscape'
+      });
+
+      expect(mockApiClient.submitGeneration).toHaveBeenCalledWith('v1/flux-pro', { prompt: 'Async landscape' }, expect.any(Object));
+      expect(mockApiClient.waitForCompletion).not.toHaveBeenCalled();
+      expect(mockFileManager.saveGeneratedImage).not.toHaveBeenCalled();
+      expect(result.text).toContain('🆔 **Task ID:** test-task-123');
+      expect(server.taskRegistry.get('test-task-123')).toMatchObject({
+        toolName: 'flux_pro_generate',
+        pollingUrl: 'https://api.eu1.bfl.ai/v1/get_result?id=test-task-123',
+        status: 'Submitted'
       });
     });
 
-    test('should pass correct endpoint for each tool', async () => {
-      const endpoints = [
-        { tool: 'flux_pro_generate', endpoint: 'v1/flux-pro' },
-        { tool: 'flux_dev_generate', endpoint: 'v1/flux-dev' },
-        { tool: 'flux_pro_11_generate', endpoint: 'v1/flux-pro-1.1' },
-        { tool: 'flux_kontext_pro_generate', endpoint: 'v1/flux-kontext-pro' },
-        { tool: 'flux_kontext_max_generate', endpoint: 'v1/flux-kontext-max' }
-      ];
+    test('should report task status and progress', async () => {
+      await server.callTool('flux_pro_generate', { prompt: 'Async landscape', async: true });
 
-      for (const { tool, endpoint } of endpoints) {
-        mockApiClient.submitGeneration.mockClear();
-        
-        await server.callTool(tool, { prompt: 'Test' });
-        
-        expect(mockApiClient.submitGeneration).toHaveBeenCalledWith(
-          endpoint,
-          expect.objectContaining({ prompt: 'Test' })
-        );
-      }
+      const result = await server.callTool('flux_get_task_status', { task_id: 'test-task-123' });
+
+      expect(mockApiClient.getResult).toHaveBeenCalledWith('test-task-123', {
+        pollingUrl: 'https://api.eu1.bfl.ai/v1/get_result?id=test-task-123'
+      });
+      expect(result.isError).toBe(false);
+      expect(result.text).toContain('📊 **Task Status:** Pending');
+      expect(result.text).toContain('📈 **Progress:** 40%');
     });
-  });
 
-  describe('📊 Progress Tracking', () => {
-    test('should track generation progress', async () => {
-      const progressSpy = jest.fn();
-      server.onProgress = progressSpy;
+    test('should not download until the task is ready', async () => {
+      await server.callTool('flux_pro_generate', { prompt: 'Async landscape', async: true });
 
-      const args = { prompt: 'Test with progress' };
+      const result = await server.callTool('flux_fetch_result', { task_id: 'test-task-123' });
 
-      await server.callTool('flux_pro_generate', args);
+      expect(mockFileManager.saveGeneratedImage).not.toHaveBeenCalled();
+      expect(result.text).toContain('Still generating');
+    });
 
-      // Verify progress tracking was called during waitForCompletion
-      expect(mockApiClient.waitForCompletion).toHaveBeenCalledWith('test-task-123');
+    test('should save a ready result with submission arguments', async () => {
+      mockApiClient.getResult.mockResolvedValue(readyResult);
+      await server.callTool('flux_pro_generate', {
+        prompt: 'Async landscape',
+        async: true,
+        output_path: '~/Projects/async/',
+        filename: 'async_landscape'
+      });
+
+      const result = await server.callTool('flux_fetch_result', { task_id: 'test-task-123' });
+
+      expect(mockFileManager.saveGeneratedImage).toHaveBeenCalledWith(
+        'https://example.com/generated-image.jpg',
+        expect.objectContaining({
+          outputPath: '~/Projects/async/',
+          filename: 'async_landscape',
+          prompt: 'Async landscape',
+          model: 'flux-pro'
+        })
+      );
+      expect(result.text).toContain('✅ **Image Generated Successfully!**');
+      expect(server.taskRegistry.get('test-task-123').status).toBe('Ready');
     });
 
-    test('should handle timeout gracefully', async () => {
-      mockApiClient.waitForCompletion.mockRejectedValue(new Error('Task timed out'));
+    test('should wait for completion when asked', async () => {
+      await server.callTool('flux_pro_generate', { prompt: 'Async landscape', async: true });
 
-      const args = { prompt: 'Test timeout' };
+      await server.callTool('flux_fetch_result', { task_id: 'test-task-123', wait: true, filename: 'override' });
 
-      const result = await server.callTool('flux_pro_generate', args);
+      expect(mockApiClient.waitForCompletion).toHaveBeenCalledWith('test-task-123', expect.any(Object));
+      expect(mockFileManager.saveGeneratedImage).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.objectContaining({ filename: 'override' })
+      );
+    });
 
-      expect(result.text).toContain('❌ Error');
-      expect(result.text).toContain('Task timed out');
+    test('should not download a saved result twice', async () => {
+      mockApiClient.getResult.mockResolvedValue(readyResult);
+      await server.callTool('flux_pro_generate', { prompt: 'Async landscape', async: true });
+
+      await server.callTool('flux_fetch_result', { task_id: 'test-task-123' });
+      const status = await server.callTool('flux_get_task_status', { task_id: 'test-task-123' });
+      await server.callTool('flux_fetch_result', { task_id: 'test-task-123' });
+
+      expect(mockFileManager.saveGeneratedImage).toHaveBeenCalledTimes(1);
+      expect(mockApiClient.getResult).toHaveBeenCalledTimes(1);
+      expect(status.text).toContain('💾 **Saved to:**');
+    });
+
+    test('should flag moderated tasks as errors', async () => {
+      mockApiClient.getResult.mockResolvedValue({ id: 'test-task-123', status: 'Content Moderated' });
+
+      const result = await server.callTool('flux_get_task_status', { task_id: 'test-task-123' });
+
+      expect(result.isError).toBe(true);
+      expect(result.text).toContain('will not produce an image');
+    });
+
+    test('should poll tasks unknown to this session by ID', async () => {
+      const result = await server.callTool('flux_get_task_status', { task_id: 'older-task' });
+
+      expect(mockApiClient.getResult).toHaveBeenCalledWith('older-task', { pollingUrl: null });
+      expect(result.text).toContain('🆔 **Task ID:** older-task');
+    });
+
+    test('should only remember unknown task IDs once BFL confirms them', async () => {
+      mockApiClient.getResult.mockResolvedValueOnce({ id: 'made-up', status: 'Task not found' });
+
+      const missing = await server.callTool('flux_get_task_status', { task_id: 'made-up' });
+      await server.callTool('flux_get_task_status', { task_id: 'older-task' });
+
+      expect(missing.isError).toBe(true);
+      expect(server.taskRegistry.has('made-up')).toBe(false);
+      expect(server.taskRegistry.get('older-task')).toMatchObject({ status: 'Pending', progress: 40 });
+    });
+
+    test('should keep reporting progress for tasks evicted while running', async () => {
+      server = new FluxMcpServer({
+        apiClient: mockApiClient,
+        fileManager: mockFileManager,
+        taskRegistry: new TaskRegistry({ maxEntries: 1 })
+      });
+      mockApiClient.waitForCompletion.mockImplementation(async (taskId, { onProgress }) => {
+        server.taskRegistry.register({ taskId: 'newer-task' });
+        onProgress({ status: 'Pending', progress: 50 });
+        return { status: 'Ready', result: { sample: 'https://example.com/generated-image.jpg' } };
+      });
+
+      const result = await server.callTool('flux_dev_generate', { prompt: 'Foggy harbor' });
+
+      expect(result.isError).toBeUndefined();
+      expect(server.taskRegistry.get('test-task-123')).toMatchObject({ status: 'Ready' });
+    });
+
+    test('should require a task ID', async () => {
+      const result = await server.callTool('flux_fetch_result', {});
+
+      expect(result.isError).toBe(true);
+      expect(result.text).toContain('task_id is required');
     });
   });
 
-  describe('🛡️ Input Validation', () => {
-    test('should validate prompt is required', async () => {
-      const result = await server.callTool('flux_pro_generate', {
-        width: 1024,
-        height: 768
+  describe('📜 Generation History', () => {
+    let history;
+
+    beforeEach(() => {
+      history = {
+        record: jest.fn().mockResolvedValue(undefined),
+        search: jest.fn().mockResolvedValue({ total: 0, entries: [] })
+      };
+      server = new FluxMcpServer({ apiClient: mockApiClient, fileManager: mockFileManager, history });
+    });
+
+    test('should list history tools', async () => {
+      const names = (await server.listTools()).map(tool => tool.name);
+
+      expect(names).toEqual(expect.arrayContaining(['flux_list_history', 'flux_search_history']));
+    });
+
+    test('should record the submission and the saved result', async () => {
+      mockApiClient.waitForCompletion.mockResolvedValue({
+        status: 'Ready',
+        result: { sample: 'https://example.com/generated-image.jpg', seed: 99 }
       });
 
-      expect(result.text).toContain('❌ Error');
+      await server.callTool('flux_dev_generate', { prompt: 'Foggy harbor', steps: 28, tags: ['harbor'] });
+
+      expect(history.record).toHaveBeenNthCalledWith(1, expect.objectContaining({
+        id: 'test-task-123',
+        taskId: 'test-task-123',
+        tool: 'flux_dev_generate',
+        endpoint: 'v1/flux-dev',
+        prompt: 'Foggy harbor',
+        parameters: { prompt: 'Foggy harbor', steps: 28, tags: ['harbor'] },
+        tags: ['harbor'],
+        status: 'pending',
+        createdAt: expect.any(String)
+      }));
+      expect(history.record).toHaveBeenNthCalledWith(2, expect.objectContaining({
+        id: 'test-task-123',
+        status: 'success',
+        seed: 99,
+        imageUrl: 'https://example.com/generated-image.jpg',
+        savedPath: '/tmp/test/generated_image_flux-pro_20240128_120000.jpg',
+        completedAt: expect.any(String),
+        durationMs: expect.any(Number)
+      }));
     });
 
-    test('should validate dimension constraints', async () => {
-      const result = await server.callTool('flux_pro_generate', {
-        prompt: 'Test',
-        width: 100, // Not multiple of 32
-        height: 768
+    test('should not send tags to the API', async () => {
+      await server.callTool('flux_dev_generate', { prompt: 'Foggy harbor', tags: ['harbor'] });
+
+      expect(mockApiClient.submitGeneration).toHaveBeenCalledWith('v1/flux-dev', { prompt: 'Foggy harbor' }, expect.any(Object));
+    });
+
+    test('should record failures', async () => {
+      mockApiClient.waitForCompletion.mockRejectedValue(new FluxTimeoutError('Timed out after 60 attempts'));
+
+      await server.callTool('flux_dev_generate', { prompt: 'Foggy harbor' });
+
+      expect(history.record).toHaveBeenLastCalledWith(expect.objectContaining({
+        id: 'test-task-123',
+        status: 'failed',
+        error: 'Timed out after 60 attempts'
+      }));
+    });
+
+    test('should still generate when history cannot be written', async () => {
+      history.record.mockRejectedValue(new Error('EACCES: permission denied'));
+
+      const result = await server.callTool('flux_dev_generate', { prompt: 'Foggy harbor' });
+
+      expect(result.isError).toBeUndefined();
+      expect(result.text).toContain('✅ **Image Generated Successfully!**');
+    });
+
+    test('should list history entries', async () => {
+      history.search.mockResolvedValue({
+        total: 3,
+        entries: [{
+          id: 'task-1',
+          taskId: 'task-1',
+          tool: 'flux_dev_generate',
+          prompt: 'Foggy harbor',
+          status: 'success',
+          seed: 99,
+          tags: ['harbor'],
+          savedPath: '/tmp/test/harbor.jpg',
+          createdAt: '2025-01-20T18:30:00.000Z'
+        }]
       });
 
-      expect(result.text).toContain('❌ Error');
+      const result = await server.callTool('flux_list_history', { limit: 1, status: 'success' });
+
+      expect(history.search).toHaveBeenCalledWith(expect.objectContaining({ limit: 1, status: 'success' }));
+      expect(result.text).toContain('(showing 1 of 3)');
+      expect(result.text).toContain('✅ 2025-01-20 18:30 · Flux Dev Generate · "Foggy harbor"');
+      expect(result.text).toContain('💾 /tmp/test/harbor.jpg');
+      expect(result.text).toContain('🆔 task-1 · seed 99 · tags: harbor');
     });
 
-    test('should validate safety tolerance range', async () => {
-      const result = await server.callTool('flux_pro_generate', {
-        prompt: 'Test',
-        safety_tolerance: 10 // Outside 0-6 range
+    test('should pass search filters through', async () => {
+      const result = await server.callTool('flux_search_history', {
+        query: 'harbor',
+        model: 'dev',
+        tag: 'harbor',
+        since: '2025-01-01'
       });
 
-      expect(result.text).toContain('❌ Error');
+      expect(history.search).toHaveBeenCalledWith(expect.objectContaining({
+        query: 'harbor',
+        model: 'dev',
+        tag: 'harbor',
+        since: '2025-01-01'
+      }));
+      expect(result.text).toBe('📜 No generations found.');
+    });
+
+    test('should reject unparseable dates', async () => {
+      const result = await server.callTool('flux_search_history', { since: 'last tuesday' });
+
+      expect(result.isError).toBe(true);
+      expect(result.text).toContain('since must be a date');
+      expect(history.search).not.toHaveBeenCalled();
+    });
+
+    test('should report when history is disabled', async () => {
+      server = new FluxMcpServer({ apiClient: mockApiClient, fileManager: mockFileManager });
+
+      const result = await server.callTool('flux_list_history', {});
+
+      expect(result.isError).toBe(true);
+      expect(result.text).toContain('history is not enabled');
+    });
+  });
+
+  describe('🧬 Regeneration', () => {
+    const original = {
+      id: 'task-orig',
+      taskId: 'task-orig',
+      tool: 'flux_dev_generate',
+      endpoint: 'v1/flux-dev',
+      prompt: 'Foggy harbor',
+      parameters: { prompt: 'Foggy harbor', steps: 40, guidance: 4, filename: 'harbor', tags: ['harbor'] },
+      seed: 41,
+      savedPath: '/tmp/harbors/harbor.jpg',
+      status: 'success',
+      createdAt: '2025-01-20T18:30:00.000Z'
+    };
+    let history;
+
+    beforeEach(() => {
+      history = {
+        record: jest.fn().mockResolvedValue(undefined),
+        get: jest.fn(async id => (id === 'task-orig' ? original : null))
+      };
+      server = new FluxMcpServer({ apiClient: mockApiClient, fileManager: mockFileManager, history });
+    });
+
+    test('should resubmit a history entry with seed+1 next to the original', async () => {
+      const result = await server.callTool('flux_regenerate', { source: 'task-orig', seed_offset: 1 });
+
+      expect(mockApiClient.submitGeneration).toHaveBeenCalledWith(
+        'v1/flux-dev',
+        { prompt: 'Foggy harbor', steps: 40, guidance: 4, seed: 42 },
+        expect.any(Object)
+      );
+      expect(mockFileManager.saveGeneratedImage).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.objectContaining({ outputPath: '/tmp/harbors', filename: undefined })
+      );
+      expect(result.text).toContain('🧬 **Regenerated from:** /tmp/harbors/harbor.jpg (task task-orig)');
+      expect(result.text).toContain('✅ **Image Generated Successfully!**');
+    });
+
+    test('should report sources whose tool is no longer registered', async () => {
+      history.get.mockResolvedValue({ ...original, tool: 'flux_retired_generate' });
+
+      const result = await server.callTool('flux_regenerate', { source: 'task-orig' });
+      const retargeted = await server.callTool('flux_regenerate', { source: 'task-orig', tool: 'flux_dev_generate' });
+
+      expect(result.isError).toBe(true);
+      expect(result.text).toBe('❌ Error: flux_retired_generate is no longer available - pass tool to regenerate with another model');
+      expect(retargeted.isError).toBeUndefined();
+    });
+
+    test('should record lineage in history and image metadata', async () => {
+      await server.callTool('flux_regenerate', { source: 'task-orig', overrides: { guidance: 2 } });
+
+      const lineage = {
+        parentId: 'task-orig',
+        parentTaskId: 'task-orig',
+        parentTool: 'flux_dev_generate',
+        parentPath: '/tmp/harbors/harbor.jpg',
+        overrides: { guidance: 2 }
+      };
+      expect(history.record).toHaveBeenCalledWith(expect.objectContaining({
+        id: 'test-task-123',
+        status: 'pending',
+        parentId: 'task-orig',
+        lineage
+      }));
+      expect(mockFileManager.saveGeneratedImage).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.objectContaining({
+          metadata: expect.objectContaining({ lineage }),
+          manifest: expect.objectContaining({ lineage })
+        })
+      );
+    });
+
+    test('should drop parameters the new model does not support', async () => {
+      await server.callTool('flux_regenerate', { source: 'task-orig', tool: 'flux_pro_11_generate' });
+
+      expect(mockApiClient.submitGeneration).toHaveBeenCalledWith(
+        'v1/flux-pro-1.1',
+        { prompt: 'Foggy harbor', seed: 41 },
+        expect.any(Object)
+      );
+    });
+
+    test('should validate overrides against the target tool', async () => {
+      const result = await server.callTool('flux_regenerate', { source: 'task-orig', overrides: { steps: 500 } });
+
+      expect(result.isError).toBe(true);
+      expect(result.text).toContain('steps must be between 1 and 50');
+      expect(mockApiClient.submitGeneration).not.toHaveBeenCalled();
+    });
+
+    test('should regenerate from a task in this session', async () => {
+      history.get.mockResolvedValue(null);
+      await server.callTool('flux_pro_generate', { prompt: 'Desert road', seed: 5, async: true });
+      mockApiClient.submitGeneration.mockResolvedValue({ id: 'task-2' });
+
+      await server.callTool('flux_regenerate', { source: 'test-task-123', overrides: { prompt: 'Desert road at night' } });
+
+      expect(mockApiClient.submitGeneration).toHaveBeenLastCalledWith(
+        'v1/flux-pro',
+        { prompt: 'Desert road at night', seed: 5 },
+        expect.any(Object)
+      );
+    });
+
+    test('should regenerate from a saved image\'s metadata', async () => {
+      history.get.mockResolvedValue(null);
+      mockFileManager.readImageMetadata = jest.fn().mockResolvedValue({
+        path: '/tmp/test/kite.png',
+        format: 'png',
+        metadata: { tool: 'flux_pro_11_generate', taskId: 'task-kite', seed: 9, parameters: { prompt: 'Red kite' } }
+      });
+
+      await server.callTool('flux_regenerate', { source: 'kite.png' });
+
+      expect(mockFileManager.readImageMetadata).toHaveBeenCalledWith('kite.png');
+      expect(mockApiClient.submitGeneration).toHaveBeenCalledWith(
+        'v1/flux-pro-1.1',
+        { prompt: 'Red kite', seed: 9 },
+        expect.any(Object)
+      );
+    });
+
+    test('should ask for image inputs that were too large to keep', async () => {
+      history.get.mockResolvedValue({
+        ...original,
+        tool: 'flux_kontext_pro_generate',
+        parameters: { prompt: 'Make it blue', input_image: '<50000 characters omitted>' }
+      });
+
+      const result = await server.callTool('flux_regenerate', { source: 'task-orig' });
+
+      expect(result.isError).toBe(true);
+      expect(result.text).toContain('the original input_image was too large to keep in history');
+      expect(mockApiClient.submitGeneration).not.toHaveBeenCalled();
+    });
+
+    test('should need a recorded seed for seed_offset', async () => {
+      history.get.mockResolvedValue({ ...original, seed: null, parameters: { prompt: 'Foggy harbor' } });
+
+      const result = await server.callTool('flux_regenerate', { source: 'task-orig', seed_offset: 1 });
+
+      expect(result.isError).toBe(true);
+      expect(result.text).toContain('seed_offset needs the original seed');
+    });
+
+    test('should report unknown sources', async () => {
+      mockFileManager.readImageMetadata = jest.fn().mockRejectedValue(new Error('Image not found: nothing'));
+
+      const result = await server.callTool('flux_regenerate', { source: 'nothing' });
+
+      expect(result.isError).toBe(true);
+      expect(result.text).toContain('No generation found for nothing');
+    });
+  });
+
+  describe('🗂️ Batch Generation', () => {
+    let nextTaskId;
+
+    beforeEach(() => {
+      nextTaskId = 0;
+      mockApiClient.submitGeneration.mockImplementation(async () => ({ id: `batch-task-${++nextTaskId}` }));
+      mockApiClient.waitForCompletion.mockImplementation(async taskId => ({
+        status: 'Ready',
+        result: { sample: `https://example.com/${taskId}.jpg` }
+      }));
+      mockFileManager.saveBatchImage = jest.fn(async item => ({
+        savedPath: `/tmp/test/kite_${item.variation}.jpg`,
+        filename: `kite_${item.variation}.jpg`,
+        directory: '/tmp/test',
+        size: 1024,
+        sidecarPath: null,
+        variation: item.variation,
+        seed: item.metadata.seed,
+        batchManifestPath: '/tmp/test/kite_batch.json'
+      }));
+      mockFileManager.writeBatchManifest = jest.fn().mockResolvedValue('/tmp/test/kite_batch.json');
+    });
+
+    test('should generate one image per seed and save them as a batch', async () => {
+      const result = await server.callTool('flux_batch_generate', {
+        tool: 'flux_dev_generate',
+        prompt: 'Red kite',
+        seeds: [1, 2, 3],
+        parameters: { steps: 20 },
+        output_path: 'kites'
+      });
+
+      expect(mockApiClient.submitGeneration).toHaveBeenCalledTimes(3);
+      expect(mockApiClient.submitGeneration).toHaveBeenCalledWith(
+        'v1/flux-dev',
+        { prompt: 'Red kite', steps: 20, seed: 2 },
+        expect.any(Object)
+      );
+      for (const seed of [1, 2, 3]) {
+        expect(mockFileManager.saveBatchImage).toHaveBeenCalledWith(
+          expect.objectContaining({
+            url: `https://example.com/batch-task-${seed}.jpg`,
+            variation: `seed${seed}`,
+            prompt: 'Red kite',
+            model: 'flux-dev',
+            metadata: expect.objectContaining({ seed, batchId: expect.stringMatching(/^batch-/) })
+          }),
+          expect.objectContaining({
+            basePrompt: 'Red kite',
+            outputPath: 'kites',
+            batchId: expect.stringMatching(/^batch-/),
+            manifest: { tool: 'flux_dev_generate' }
+          })
+        );
+      }
+      expect(mockFileManager.writeBatchManifest).toHaveBeenCalledWith(
+        [1, 2, 3].map(seed => expect.objectContaining({ variation: `seed${seed}` })),
+        expect.objectContaining({ basePrompt: 'Red kite', outputPath: 'kites' })
+      );
+      expect(result.isError).toBe(false);
+      expect(result.text).toContain('✅ **Batch Complete** - 3 of 3 images saved');
+      expect(result.text).toContain('| 2 | seed2 | 2 | /tmp/test/kite_seed2.jpg |');
+      expect(result.text).toContain('📋 **Manifest:** /tmp/test/kite_batch.json');
+      expect(result.structuredContent.results[0]).toEqual({
+        variation: 'seed1',
+        prompt: 'Red kite',
+        seed: 1,
+        taskId: 'batch-task-1',
+        savedPath: '/tmp/test/kite_seed1.jpg',
+        error: null
+      });
+      expect(server.taskRegistry.get('batch-task-3').status).toBe('Ready');
+    });
+
+    test('should name prompt-list variations after their prompts', async () => {
+      await server.callTool('flux_batch_generate', {
+        tool: 'flux_dev_generate',
+        prompts: ['A red kite over hills at dawn', 'Kestrel hovering!'],
+        name: 'birds'
+      });
+
+      expect(mockFileManager.saveBatchImage.mock.calls.map(([item]) => item)).toEqual([
+        expect.objectContaining({ variation: '01_a_red_kite_over', prompt: 'A red kite over hills at dawn' }),
+        expect.objectContaining({ variation: '02_kestrel_hovering', prompt: 'Kestrel hovering!' })
+      ]);
+      expect(mockFileManager.saveBatchImage).toHaveBeenCalledWith(
+        expect.any(Object),
+        expect.objectContaining({ basePrompt: 'birds' })
+      );
+    });
+
+    test('should pick and record random seeds for count', async () => {
+      const result = await server.callTool('flux_batch_generate', {
+        tool: 'flux_dev_generate',
+        prompt: 'Red kite',
+        count: 2
+      });
+
+      const seeds = result.structuredContent.results.map(row => row.seed);
+      expect(seeds).toEqual([expect.any(Number), expect.any(Number)]);
+      expect(mockApiClient.submitGeneration).toHaveBeenCalledWith(
+        'v1/flux-dev',
+        { prompt: 'Red kite', seed: seeds[0] },
+        expect.any(Object)
+      );
+    });
+
+    test('should keep at most the concurrency limit in flight', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      mockApiClient.waitForCompletion.mockImplementation(async taskId => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        inFlight--;
+        return { status: 'Ready', result: { sample: `https://example.com/${taskId}.jpg` } };
+      });
+
+      await server.callTool('flux_batch_generate', {
+        tool: 'flux_dev_generate',
+        prompt: 'Red kite',
+        seeds: [1, 2, 3, 4, 5],
+        concurrency: 2
+      });
+
+      expect(mockApiClient.waitForCompletion).toHaveBeenCalledTimes(5);
+      expect(maxInFlight).toBe(2);
+    });
+
+    test('should save the images that succeeded and report the rest', async () => {
+      mockApiClient.waitForCompletion.mockImplementation(async taskId => {
+        if (taskId === 'batch-task-2') {
+          throw new FluxTimeoutError('Timed out after 60 attempts');
+        }
+        return { status: 'Ready', result: { sample: `https://example.com/${taskId}.jpg` } };
+      });
+
+      const result = await server.callTool('flux_batch_generate', {
+        tool: 'flux_dev_generate',
+        prompt: 'Red kite',
+        seeds: [1, 2, 3]
+      });
+
+      expect(mockFileManager.saveBatchImage).toHaveBeenCalledTimes(2);
+      expect(mockFileManager.writeBatchManifest.mock.calls[0][0]).toHaveLength(2);
+      expect(result.isError).toBe(false);
+      expect(result.text).toContain('2 of 3 images saved');
+      expect(result.text).toContain('| 2 | seed2 | 2 | ❌ Timed out after 60 attempts |');
+      expect(server.taskRegistry.get('batch-task-2').status).toBe('Failed');
+    });
+
+    test('should save each image as soon as it is ready', async () => {
+      let releaseSlowTask;
+      mockApiClient.waitForCompletion.mockImplementation(async taskId => {
+        if (taskId === 'batch-task-1') {
+          await new Promise(resolve => { releaseSlowTask = resolve; });
+        }
+        return { status: 'Ready', result: { sample: `https://example.com/${taskId}.jpg` } };
+      });
+      mockFileManager.saveBatchImage.mockImplementation(async item => {
+        if (item.variation === 'seed2') {
+          releaseSlowTask();
+        }
+        return { savedPath: `/tmp/test/kite_${item.variation}.jpg`, variation: item.variation, seed: item.metadata.seed };
+      });
+
+      const result = await server.callTool('flux_batch_generate', {
+        tool: 'flux_dev_generate',
+        prompt: 'Red kite',
+        seeds: [1, 2]
+      });
+
+      expect(mockFileManager.saveBatchImage.mock.calls.map(([item]) => item.variation)).toEqual(['seed2', 'seed1']);
+      expect(result.structuredContent.results.map(row => row.variation)).toEqual(['seed1', 'seed2']);
+    });
+
+    test('should report a failed download per image and keep the rest', async () => {
+      const history = {
+        record: jest.fn().mockResolvedValue(undefined),
+        get: jest.fn().mockResolvedValue(null)
+      };
+      server = new FluxMcpServer({ apiClient: mockApiClient, fileManager: mockFileManager, history });
+      mockFileManager.saveBatchImage.mockImplementation(async item => {
+        if (item.variation === 'seed2') {
+          throw new Error('Failed to download image: HTTP 403');
+        }
+        return { savedPath: `/tmp/test/kite_${item.variation}.jpg`, variation: item.variation, seed: item.metadata.seed };
+      });
+
+      const result = await server.callTool('flux_batch_generate', {
+        tool: 'flux_dev_generate',
+        prompt: 'Red kite',
+        seeds: [1, 2, 3]
+      });
+
+      expect(result.isError).toBe(false);
+      expect(result.text).toContain('2 of 3 images saved');
+      expect(result.text).toContain('| 2 | seed2 | 2 | ❌ Failed to download image: HTTP 403 |');
+      expect(result.text).toContain('| 3 | seed3 | 3 | /tmp/test/kite_seed3.jpg |');
+      expect(mockFileManager.writeBatchManifest).toHaveBeenCalledWith(
+        [expect.objectContaining({ variation: 'seed1' }), expect.objectContaining({ variation: 'seed3' })],
+        expect.any(Object)
+      );
+      expect(server.taskRegistry.get('batch-task-2')).toMatchObject({ status: 'Failed', error: 'Failed to download image: HTTP 403' });
+      expect(history.record).toHaveBeenCalledWith(expect.objectContaining({ id: 'batch-task-2', status: 'failed' }));
+    });
+
+    test('should still report saved images when the manifest cannot be written', async () => {
+      mockFileManager.writeBatchManifest.mockRejectedValue(new Error('Failed to write manifest: ENOSPC'));
+
+      const result = await server.callTool('flux_batch_generate', {
+        tool: 'flux_dev_generate',
+        prompt: 'Red kite',
+        seeds: [1, 2]
+      });
+
+      expect(result.isError).toBe(false);
+      expect(result.text).toContain('2 of 2 images saved');
+      expect(result.text).toContain('⚠️ Failed to write manifest: ENOSPC');
+    });
+
+    test('should send progress as images finish', async () => {
+      const sendNotification = jest.fn();
+
+      await server.callTool('flux_batch_generate', {
+        tool: 'flux_dev_generate',
+        prompt: 'Red kite',
+        seeds: [1, 2]
+      }, { progressToken: 'batch', sendNotification });
+
+      expect(sendNotification).toHaveBeenLastCalledWith('notifications/progress', {
+        progressToken: 'batch',
+        progress: 2,
+        total: 2,
+        message: '2 of 2 images finished'
+      });
+    });
+
+    test('should stop and save nothing when cancelled', async () => {
+      const controller = new AbortController();
+      mockApiClient.waitForCompletion.mockImplementation(async () => {
+        controller.abort();
+        throw new FluxCancelledError();
+      });
+
+      const result = await server.callTool('flux_batch_generate', {
+        tool: 'flux_dev_generate',
+        prompt: 'Red kite',
+        seeds: [1, 2, 3],
+        concurrency: 1
+      }, { signal: controller.signal });
+
+      expect(mockApiClient.submitGeneration).toHaveBeenCalledTimes(1);
+      expect(mockFileManager.saveBatchImage).not.toHaveBeenCalled();
+      expect(result.text).toContain('nothing was saved');
+      expect(result.text).toContain('🛑 **Batch cancelled**');
+      expect(result.isError).toBe(true);
+      expect(result.structuredContent).toEqual({
+        batchId: expect.stringMatching(/^batch-/),
+        tool: 'flux_dev_generate',
+        cancelled: true,
+        results: []
+      });
+      expect(server.taskRegistry.get('batch-task-1').status).toBe('Cancelled');
+    });
+
+    test('should keep the images saved before a cancel', async () => {
+      const controller = new AbortController();
+      mockApiClient.waitForCompletion.mockImplementation(async taskId => {
+        if (taskId === 'batch-task-2') {
+          controller.abort();
+          throw new FluxCancelledError();
+        }
+        return { status: 'Ready', result: { sample: `https://example.com/${taskId}.jpg` } };
+      });
+
+      const result = await server.callTool('flux_batch_generate', {
+        tool: 'flux_dev_generate',
+        prompt: 'Red kite',
+        seeds: [1, 2, 3],
+        concurrency: 1
+      }, { signal: controller.signal });
+
+      expect(result.isError).toBe(true);
+      expect(result.text).toContain('1 of 3 images were saved before it stopped');
+      expect(result.text).toContain('📋 **Manifest:** /tmp/test/kite_batch.json');
+      expect(result.structuredContent.results).toEqual([
+        expect.objectContaining({ variation: 'seed1', savedPath: '/tmp/test/kite_seed1.jpg' })
+      ]);
+      expect(server.taskRegistry.get('batch-task-1').status).toBe('Ready');
+      expect(server.taskRegistry.get('batch-task-2').status).toBe('Cancelled');
+    });
+
+    test('should validate shared parameters once', async () => {
+      const result = await server.callTool('flux_batch_generate', {
+        tool: 'flux_dev_generate',
+        prompt: 'Red kite',
+        seeds: [1, 2, 3],
+        parameters: { steps: 500 }
+      });
+
+      expect(result.isError).toBe(true);
+      expect(result.structuredContent.violations).toEqual([
+        { path: 'steps', message: 'steps must be between 1 and 50' }
+      ]);
+      expect(mockApiClient.submitGeneration).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      [{ prompt: 'Red kite', prompts: ['Kestrel'] }, 'pass either prompt'],
+      [{ prompt: 'Red kite' }, 'pass either seeds or count'],
+      [{ prompts: ['Kestrel'], seeds: [1] }, 'seeds and count apply to a single prompt'],
+      [{ prompt: 'Red kite', seeds: [7, 7] }, 'seeds must not repeat'],
+      [{ prompt: 'Red kite', seeds: Array.from({ length: 21 }, (_, index) => index) }, 'between 1 and 20 images']
+    ])('should reject batch shape %j', async (shape, message) => {
+      const result = await server.callTool('flux_batch_generate', { tool: 'flux_dev_generate', ...shape });
+
+      expect(result.isError).toBe(true);
+      expect(result.text).toContain(message);
+    });
+  });
+
+  describe('🧮 Parameter Sweep', () => {
+    let nextTaskId;
+
+    beforeEach(() => {
+      nextTaskId = 0;
+      mockApiClient.submitGeneration.mockImplementation(async () => ({ id: `sweep-task-${++nextTaskId}` }));
+      mockApiClient.waitForCompletion.mockImplementation(async taskId => ({
+        status: 'Ready',
+        result: { sample: `https://example.com/${taskId}.jpg` }
+      }));
+      mockFileManager.saveBatchImage = jest.fn(async item => ({
+        savedPath: `/tmp/test/owl_${item.variation}.jpg`,
+        filename: `owl_${item.variation}.jpg`,
+        variation: item.variation,
+        seed: item.metadata.seed,
+        batchManifestPath: null
+      }));
+      mockFileManager.writeBatchManifest = jest.fn().mockResolvedValue(null);
+    });
+
+    test('should run every cell of the grid with one seed', async () => {
+      const result = await server.callTool('flux_parameter_sweep', {
+        tool: 'flux_dev_generate',
+        prompt: 'Snowy owl',
+        axes: { guidance: [2, 3.5], steps: [20, 40] },
+        parameters: { seed: 11, width: 512 }
+      });
+
+      expect(mockApiClient.submitGeneration).toHaveBeenCalledTimes(4);
+      expect(mockApiClient.submitGeneration).toHaveBeenCalledWith(
+        'v1/flux-dev',
+        { prompt: 'Snowy owl', seed: 11, width: 512, guidance: 3.5, steps: 20 },
+        expect.any(Object)
+      );
+      expect(mockFileManager.saveBatchImage.mock.calls.map(([item]) => item.variation)).toEqual([
+        'guidance2_steps20',
+        'guidance2_steps40',
+        'guidance3.5_steps20',
+        'guidance3.5_steps40'
+      ]);
+      expect(result.text).toContain('✅ **Sweep Complete** - 4 of 4 cells saved');
+      expect(result.text).toContain('🎲 **Seed:** 11 (same for every cell)');
+      expect(result.text).toContain('| guidance | steps | File |');
+      expect(result.text).toContain('| 3.5 | 40 | /tmp/test/owl_guidance3.5_steps40.jpg |');
+      expect(result.structuredContent.results[1]).toMatchObject({
+        values: { guidance: 2, steps: 40 },
+        savedPath: '/tmp/test/owl_guidance2_steps40.jpg'
+      });
+    });
+
+    test('should fix a random seed across cells when none is given', async () => {
+      const result = await server.callTool('flux_parameter_sweep', {
+        tool: 'flux_dev_generate',
+        prompt: 'Snowy owl',
+        axes: { steps: [20, 40] }
+      });
+
+      const seeds = mockApiClient.submitGeneration.mock.calls.map(([, payload]) => payload.seed);
+      expect(seeds[0]).toEqual(expect.any(Number));
+      expect(seeds[1]).toBe(seeds[0]);
+      expect(result.structuredContent.results.map(row => row.seed)).toEqual([seeds[0], seeds[0]]);
+    });
+
+    test('should sweep seeds and prompts by name', async () => {
+      await server.callTool('flux_parameter_sweep', {
+        tool: 'flux_dev_generate',
+        prompt: 'Snowy owl',
+        axes: { seed: [1, 2], prompt: ['Snowy owl at night', 'Barn owl'] }
+      });
+
+      expect(mockFileManager.saveBatchImage.mock.calls.map(([item]) => item.variation)).toEqual([
+        'seed1_promptsnowy_owl_at',
+        'seed1_promptbarn_owl',
+        'seed2_promptsnowy_owl_at',
+        'seed2_promptbarn_owl'
+      ]);
+      expect(mockApiClient.submitGeneration).toHaveBeenCalledWith(
+        'v1/flux-dev',
+        { prompt: 'Barn owl', seed: 2 },
+        expect.any(Object)
+      );
+    });
+
+    test('should save each run of the same sweep under its own batch ID', async () => {
+      const sweep = { tool: 'flux_dev_generate', prompt: 'Snowy owl', axes: { steps: [20, 40] }, name: 'owl' };
+
+      const first = await server.callTool('flux_parameter_sweep', sweep);
+      const second = await server.callTool('flux_parameter_sweep', sweep);
+
+      const batchIds = mockFileManager.saveBatchImage.mock.calls.map(([, options]) => options.batchId);
+      expect(batchIds).toEqual([
+        first.structuredContent.batchId,
+        first.structuredContent.batchId,
+        second.structuredContent.batchId,
+        second.structuredContent.batchId
+      ]);
+      expect(second.structuredContent.batchId).not.toBe(first.structuredContent.batchId);
+    });
+
+    test('should resolve image inputs for every cell', async () => {
+      const image = pngHeader(1024, 1024);
+      mockFileManager.loadImageInput = jest.fn().mockResolvedValue(image);
+
+      await server.callTool('flux_parameter_sweep', {
+        tool: 'flux_expand_generate',
+        prompt: 'Continue the beach scene',
+        axes: { top: [64, 128] },
+        parameters: { image: '/assets/hero.png', seed: 3 }
+      });
+
+      expect(mockApiClient.submitGeneration.mock.calls.map(([, payload]) => payload.top)).toEqual([64, 128]);
+      expect(mockApiClient.submitGeneration).toHaveBeenCalledWith(
+        'v1/flux-pro-1.0-expand',
+        expect.objectContaining({ image: image.toString('base64'), top: 128, bottom: 0 }),
+        expect.any(Object)
+      );
+    });
+
+    test('should load each input once however many cells use it', async () => {
+      mockFileManager.loadImageInput = jest.fn().mockResolvedValue(pngHeader(1024, 1024));
+
+      await server.callTool('flux_parameter_sweep', {
+        tool: 'flux_expand_generate',
+        prompt: 'Continue the beach scene',
+        axes: { seed: [1, 2, 3] },
+        parameters: { image: '/assets/hero.png', left: 256 }
+      });
+
+      expect(mockApiClient.submitGeneration).toHaveBeenCalledTimes(3);
+      expect(mockFileManager.loadImageInput).toHaveBeenCalledTimes(1);
+    });
+
+    test('should validate swept values against the tool schema', async () => {
+      const result = await server.callTool('flux_parameter_sweep', {
+        tool: 'flux_dev_generate',
+        prompt: 'Snowy owl',
+        axes: { guidance: [3, 9], sharpness: [1] }
+      });
+
+      expect(result.isError).toBe(true);
+      expect(result.text).toContain('guidance must be between 1.5 and 5');
+      expect(result.text).toContain('sharpness is not a supported parameter');
+      expect(mockApiClient.submitGeneration).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      [{}, 'axes needs at least one parameter'],
+      [{ steps: [] }, 'axes.steps must be a non-empty list'],
+      [{ filename: ['a', 'b'] }, 'filename cannot be swept'],
+      [{ steps: [10, 20, 30, 40, 50], guidance: [2, 3, 4, 5, 5] }, 'a sweep of 25 cells is over the limit of 20']
+    ])('should reject axes %j', async (axes, message) => {
+      const result = await server.callTool('flux_parameter_sweep', { tool: 'flux_dev_generate', prompt: 'Snowy owl', axes });
+
+      expect(result.isError).toBe(true);
+      expect(result.text).toContain(message);
+    });
+  });
+
+  describe('🏷️ Image Metadata', () => {
+    test('should embed generation metadata when saving', async () => {
+      mockApiClient.waitForCompletion.mockResolvedValue({
+        status: 'Ready',
+        result: { sample: 'https://example.com/generated-image.jpg', seed: 99 }
+      });
+
+      await server.callTool('flux_dev_generate', { prompt: 'Foggy harbor', steps: 28 });
+
+      expect(mockFileManager.saveGeneratedImage).toHaveBeenCalledWith(
+        'https://example.com/generated-image.jpg',
+        expect.objectContaining({
+          metadata: {
+            prompt: 'Foggy harbor',
+            model: 'flux-dev',
+            tool: 'flux_dev_generate',
+            endpoint: 'v1/flux-dev',
+            seed: 99,
+            taskId: 'test-task-123',
+            createdAt: expect.any(String),
+            parameters: { prompt: 'Foggy harbor', steps: 28 }
+          }
+        })
+      );
+    });
+
+    test('should pass the request, response and expert for the sidecar manifest', async () => {
+      const completion = { status: 'Ready', result: { sample: 'https://example.com/generated-image.jpg', seed: 3 } };
+      mockApiClient.waitForCompletion.mockResolvedValue(completion);
+      mockFileManager.saveGeneratedImage.mockResolvedValue({
+        savedPath: '/tmp/test/logo.jpg',
+        filename: 'logo.jpg',
+        directory: '/tmp/test',
+        size: 1024,
+        sidecarPath: '/tmp/test/logo.jpg.json'
+      });
+
+      const result = await server.callTool('flux_dev_generate', { prompt: 'Logo for a bakery', steps: 28, filename: 'logo' });
+
+      expect(mockFileManager.saveGeneratedImage).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.objectContaining({
+          manifest: {
+            request: { prompt: 'Logo for a bakery', steps: 28 },
+            response: completion,
+            expert: 'logo_expert'
+          }
+        })
+      );
+      expect(result.text).toContain('📋 **Manifest:** /tmp/test/logo.jpg.json');
+    });
+
+    test('should read metadata back from a saved image', async () => {
+      const metadata = {
+        prompt: 'Foggy harbor',
+        model: 'flux-dev',
+        tool: 'flux_dev_generate',
+        seed: 99,
+        taskId: 'task-1',
+        createdAt: '2025-01-20T18:30:00.000Z',
+        parameters: { prompt: 'Foggy harbor', steps: 28 }
+      };
+      mockFileManager.readImageMetadata = jest.fn().mockResolvedValue({
+        path: '/tmp/test/harbor.png',
+        format: 'png',
+        metadata
+      });
+
+      const result = await server.callTool('flux_read_image_metadata', { path: 'harbor.png' });
+
+      expect(mockFileManager.readImageMetadata).toHaveBeenCalledWith('harbor.png');
+      expect(result.text).toContain('📝 **Prompt:** Foggy harbor');
+      expect(result.text).toContain('🎨 **Model:** flux-dev (`flux_dev_generate`)');
+      expect(result.text).toContain('🎲 **Seed:** 99');
+      expect(result.text).toContain('"steps": 28');
+      expect(result.structuredContent).toEqual({ path: '/tmp/test/harbor.png', format: 'png', metadata });
+    });
+
+    test('should say when an image carries no metadata', async () => {
+      mockFileManager.readImageMetadata = jest.fn().mockResolvedValue({
+        path: '/tmp/test/photo.jpg',
+        format: 'jpeg',
+        metadata: null
+      });
+
+      const result = await server.callTool('flux_read_image_metadata', { path: '/tmp/test/photo.jpg' });
+
+      expect(result.isError).toBeUndefined();
+      expect(result.text).toBe('🔎 No generation metadata found in /tmp/test/photo.jpg');
+    });
+
+    test('should report unreadable images as errors', async () => {
+      mockFileManager.readImageMetadata = jest.fn().mockRejectedValue(new Error('Image not found: nope.png'));
+
+      const result = await server.callTool('flux_read_image_metadata', { path: 'nope.png' });
+
+      expect(result.isError).toBe(true);
+      expect(result.text).toContain('Image not found: nope.png');
+    });
+  });
+
+  describe('👀 Image Content', () => {
+    test('should attach a thumbnail and a link to the saved file', async () => {
+      const result = await server.callTool('flux_dev_generate', { prompt: 'Foggy harbor' });
+
+      expect(mockFileManager.createThumbnail).toHaveBeenCalledWith('/tmp/test/generated_image_flux-pro_20240128_120000.jpg', 512);
+      expect(result.attachments).toEqual([
+        { type: 'image', data: Buffer.from('thumbnail').toString('base64'), mimeType: 'image/jpeg' },
+        {
+          type: 'resource_link',
+          uri: 'file:///tmp/test/generated_image_flux-pro_20240128_120000.jpg',
+          name: 'generated_image_flux-pro_20240128_120000.jpg',
+          mimeType: 'image/jpeg',
+          size: 1024
+        }
+      ]);
+    });
+
+    test('should use the configured thumbnail size', async () => {
+      server = new FluxMcpServer({ apiClient: mockApiClient, fileManager: mockFileManager, thumbnailSize: 256 });
+
+      await server.callTool('flux_dev_generate', { prompt: 'Foggy harbor' });
+
+      expect(mockFileManager.createThumbnail).toHaveBeenCalledWith(expect.any(String), 256);
+    });
+
+    test('should skip the thumbnail when disabled', async () => {
+      server = new FluxMcpServer({ apiClient: mockApiClient, fileManager: mockFileManager, thumbnailSize: 0 });
+
+      const result = await server.callTool('flux_dev_generate', { prompt: 'Foggy harbor' });
+
+      expect(mockFileManager.createThumbnail).not.toHaveBeenCalled();
+      expect(result.attachments.map(item => item.type)).toEqual(['resource_link']);
+    });
+
+    test('should still succeed when no thumbnail can be made', async () => {
+      mockFileManager.createThumbnail.mockRejectedValue(new Error('Cannot make a thumbnail of webp images'));
+
+      const result = await server.callTool('flux_dev_generate', { prompt: 'Foggy harbor' });
+
+      expect(result.isError).toBeUndefined();
+      expect(result.attachments.map(item => item.type)).toEqual(['resource_link']);
+    });
+  });
+
+  describe('🖼️ Contact Sheets', () => {
+    const sheet = {
+      savedPath: '/tmp/test/sheet.png',
+      filename: 'sheet.png',
+      directory: '/tmp/test',
+      size: 20480,
+      width: 536,
+      height: 318,
+      columns: 2,
+      count: 3
+    };
+
+    beforeEach(() => {
+      mockFileManager.createContactSheet = jest.fn().mockResolvedValue(sheet);
+    });
+
+    test('should tile the given paths', async () => {
+      const result = await server.callTool('flux_make_contact_sheet', {
+        paths: ['a.png', 'b.png', 'c.png'],
+        columns: 2,
+        tile_size: 256,
+        filename: 'sheet'
+      });
+
+      expect(mockFileManager.createContactSheet).toHaveBeenCalledWith(['a.png', 'b.png', 'c.png'], {
+        outputPath: undefined,
+        filename: 'sheet',
+        columns: 2,
+        tileSize: 256
+      });
+      expect(result.text).toContain('📁 **File:** /tmp/test/sheet.png');
+      expect(result.text).toContain('🔢 **Images:** 3 in 2 columns');
+      expect(result.structuredContent).toMatchObject({ savedPath: '/tmp/test/sheet.png', images: ['a.png', 'b.png', 'c.png'] });
+    });
+
+    test.each([
+      [[], 'paths must not be empty'],
+      [Array.from({ length: 101 }, (_, index) => `${index}.png`), 'paths must have at most 100 items']
+    ])('should reject %# path lists outside the image limit', async (paths, message) => {
+      const result = await server.callTool('flux_make_contact_sheet', { paths, tile_size: 1024 });
+
+      expect(result.isError).toBe(true);
+      expect(result.structuredContent.violations).toEqual([{ path: 'paths', message }]);
+      expect(mockFileManager.createContactSheet).not.toHaveBeenCalled();
+    });
+
+    test('should collect a batch from this session in submission order', async () => {
+      let nextTaskId = 0;
+      mockApiClient.submitGeneration.mockImplementation(async () => ({ id: `batch-task-${++nextTaskId}` }));
+      mockApiClient.waitForCompletion.mockImplementation(async taskId => ({
+        status: 'Ready',
+        result: { sample: `https://example.com/${taskId}.jpg` }
+      }));
+      mockFileManager.saveBatchImage = jest.fn(async item => ({
+        savedPath: `/tmp/test/kite_${item.variation}.jpg`,
+        filename: `kite_${item.variation}.jpg`,
+        directory: '/tmp/test',
+        size: 1024,
+        variation: item.variation,
+        seed: item.metadata.seed
+      }));
+      mockFileManager.writeBatchManifest = jest.fn().mockResolvedValue(null);
+
+      const batch = await server.callTool('flux_batch_generate', { tool: 'flux_dev_generate', prompt: 'Kite', seeds: [1, 2] });
+      const { batchId } = batch.structuredContent;
+      await server.callTool('flux_make_contact_sheet', { id: batchId });
+
+      expect(mockFileManager.createContactSheet).toHaveBeenCalledWith(
+        ['/tmp/test/kite_seed1.jpg', '/tmp/test/kite_seed2.jpg'],
+        expect.objectContaining({ filename: `${batchId.replace('-', '_')}_contact_sheet` })
+      );
+    });
+
+    test('should fall back to the history for earlier batches', async () => {
+      const history = {
+        record: jest.fn().mockResolvedValue(undefined),
+        get: jest.fn().mockResolvedValue(null),
+        search: jest.fn().mockResolvedValue({
+          total: 2,
+          entries: [
+            { id: 'task-2', batchId: 'batch-old', savedPath: '/tmp/test/b.jpg' },
+            { id: 'task-1', batchId: 'batch-old', savedPath: '/tmp/test/a.jpg' }
+          ]
+        })
+      };
+      server = new FluxMcpServer({ apiClient: mockApiClient, fileManager: mockFileManager, history });
+
+      await server.callTool('flux_make_contact_sheet', { id: 'batch-old' });
+
+      expect(history.search).toHaveBeenCalledWith(expect.objectContaining({ batchId: 'batch-old' }));
+      expect(mockFileManager.createContactSheet).toHaveBeenCalledWith(['/tmp/test/a.jpg', '/tmp/test/b.jpg'], expect.any(Object));
+    });
+
+    test('should require exactly one source', async () => {
+      const neither = await server.callTool('flux_make_contact_sheet', {});
+      const both = await server.callTool('flux_make_contact_sheet', { paths: ['a.png'], id: 'batch-1' });
+
+      expect(neither.isError).toBe(true);
+      expect(both.text).toBe('❌ Error: provide either paths or id for the contact sheet');
+      expect(mockFileManager.createContactSheet).not.toHaveBeenCalled();
+    });
+
+    test('should report unknown IDs', async () => {
+      const result = await server.callTool('flux_make_contact_sheet', { id: 'nothing-here' });
+
+      expect(result.isError).toBe(true);
+      expect(result.text).toContain('No saved images found for nothing-here');
+    });
+  });
+
+  describe('🎯 Parameter Processing', () => {
+    test('should filter out file management parameters from API payload', async () => {
+      const args = {
+        prompt: 'Test image',
+        width: 1024,
+        height: 768,
+        output_path: '~/custom/path/',
+        filename: 'custom_name',
+        steps: 40
+      };
+
+      await server.callTool('flux_pro_generate', args);
+
+      expect(mockApiClient.submitGeneration).toHaveBeenCalledWith('v1/flux-pro', {
+        prompt: 'Test image',
+        width: 1024,
+        height: 768,
+        steps: 40
+      }, expect.any(Object));
+    });
+
+    test('should serve models added to the registry as data', async () => {
+      const modelRegistry = new ModelRegistry();
+      modelRegistry.register({
+        tool: 'flux_schnell_generate',
+        endpoint: 'v1/flux-schnell',
+        description: 'Fast drafts with FLUX.1 [schnell]',
+        parameters: {
+          prompt: { schema: { type: 'string', minLength: 1, description: 'Prompt' } },
+          steps: { schema: { type: 'integer', minimum: 1, maximum: 4, description: 'Steps' } }
+        }
+      });
+      server = new FluxMcpServer({ apiClient: mockApiClient, fileManager: mockFileManager, modelRegistry });
+
+      const tools = await server.listTools();
+      const invalid = await server.callTool('flux_schnell_generate', { prompt: 'Draft', steps: 10 });
+      await server.callTool('flux_schnell_generate', { prompt: 'Draft', steps: 4, filename: 'draft' });
+
+      expect(tools.map(tool => tool.name)).toContain('flux_schnell_generate');
+      expect(invalid.text).toContain('steps must be between 1 and 4');
+      expect(mockApiClient.submitGeneration).toHaveBeenCalledTimes(1);
+      expect(mockApiClient.submitGeneration).toHaveBeenCalledWith(
+        'v1/flux-schnell',
+        { prompt: 'Draft', steps: 4 },
+        expect.any(Object)
+      );
+    });
+
+    test('should pass correct endpoint for each tool', async () => {
+      const endpoints = [
+        { tool: 'flux_pro_generate', endpoint: 'v1/flux-pro' },
+        { tool: 'flux_dev_generate', endpoint: 'v1/flux-dev' },
+        { tool: 'flux_pro_11_generate', endpoint: 'v1/flux-pro-1.1' },
+        { tool: 'flux_pro_11_ultra_generate', endpoint: 'v1/flux-pro-1.1-ultra' },
+        { tool: 'flux_kontext_pro_generate', endpoint: 'v1/flux-kontext-pro' },
+        { tool: 'flux_kontext_max_generate', endpoint: 'v1/flux-kontext-max' }
+      ];
+
+      for (const { tool, endpoint } of endpoints) {
+        mockApiClient.submitGeneration.mockClear();
+        
+        await server.callTool(tool, { prompt: 'Test' });
+        
+        expect(mockApiClient.submitGeneration).toHaveBeenCalledWith(
+          endpoint,
+          expect.objectContaining({ prompt: 'Test' }),
+          expect.any(Object)
+        );
+      }
+    });
+  });
+
+  describe('📊 Progress Tracking', () => {
+    test('should track generation progress', async () => {
+      const progressSpy = jest.fn();
+      server.onProgress = progressSpy;
+
+      const args = { prompt: 'Test with progress' };
+
+      await server.callTool('flux_pro_generate', args);
+
+      // Verify progress tracking was called during waitForCompletion
+      expect(mockApiClient.waitForCompletion).toHaveBeenCalledWith('test-task-123', expect.any(Object));
+    });
+
+    test('should emit progress notifications when a progress token is given', async () => {
+      const sendNotification = jest.fn();
+      mockApiClient.waitForCompletion.mockImplementation(async (taskId, { onProgress }) => {
+        onProgress({ status: 'Pending', progress: 25 });
+        onProgress({ status: 'Pending', progress: 25 });
+        onProgress({ status: 'Pending', progress: 60 });
+        onProgress({ status: 'Ready', progress: null });
+        return { status: 'Ready', result: { sample: 'https://example.com/generated-image.jpg' } };
+      });
+
+      await server.callTool('flux_pro_generate', { prompt: 'Test with progress' }, {
+        progressToken: 'token-1',
+        sendNotification
+      });
+
+      const updates = sendNotification.mock.calls.map(([method, params]) => {
+        expect(method).toBe('notifications/progress');
+        expect(params).toMatchObject({ progressToken: 'token-1', total: 100 });
+        return params.progress;
+      });
+      expect(updates).toEqual([25, 25.1, 60, 100]);
+      expect(sendNotification.mock.calls[0][1].message).toMatch(/^Pending – \d+s elapsed – 25%$/);
+    });
+
+    test('should not emit progress without a progress token', async () => {
+      const sendNotification = jest.fn();
+      mockApiClient.waitForCompletion.mockImplementation(async (taskId, { onProgress }) => {
+        onProgress({ status: 'Pending', progress: 50 });
+        return { status: 'Ready', result: { sample: 'https://example.com/generated-image.jpg' } };
+      });
+
+      await server.callTool('flux_pro_generate', { prompt: 'Quiet' }, { sendNotification });
+
+      expect(sendNotification).not.toHaveBeenCalled();
+      expect(server.taskRegistry.get('test-task-123').status).toBe('Ready');
+    });
+
+    test('should return a cancelled result and skip the download', async () => {
+      const controller = new AbortController();
+      mockApiClient.waitForCompletion.mockImplementation(async () => {
+        controller.abort();
+        throw new FluxCancelledError();
+      });
+
+      const result = await server.callTool('flux_pro_generate', { prompt: 'Never mind' }, {
+        signal: controller.signal
+      });
+
+      expect(result.isError).toBe(true);
+      expect(result.text).toContain('Generation cancelled');
+      expect(result.text).toContain('test-task-123');
+      expect(mockApiClient.waitForCompletion).toHaveBeenCalledWith(
+        'test-task-123',
+        expect.objectContaining({ signal: controller.signal })
+      );
+      expect(mockFileManager.saveGeneratedImage).not.toHaveBeenCalled();
+      expect(server.taskRegistry.get('test-task-123').status).toBe('Cancelled');
+    });
+
+    test('should handle timeout gracefully', async () => {
+      mockApiClient.waitForCompletion.mockRejectedValue(new Error('Task timed out'));
+
+      const args = { prompt: 'Test timeout' };
+
+      const result = await server.callTool('flux_pro_generate', args);
+
+      expect(result.text).toContain('❌ Error');
+      expect(result.text).toContain('Task timed out');
+    });
+  });
+
+  describe('🛡️ Input Validation', () => {
+    test('should validate prompt is required', async () => {
+      const result = await server.callTool('flux_pro_generate', {
+        width: 1024,
+        height: 768
+      });
+
+      expect(result.text).toContain('❌ Error');
+    });
+
+    test('should validate dimension constraints', async () => {
+      const result = await server.callTool('flux_pro_generate', {
+        prompt: 'Test',
+        width: 100, // Not multiple of 32
+        height: 768
+      });
+
+      expect(result.text).toContain('❌ Error');
+    });
+
+    test('should report every schema violation at once', async () => {
+      const result = await server.callTool('flux_dev_generate', {
+        prompt: 'Test',
+        width: 2000,
+        steps: 80,
+        guidance: 'high',
+        colour: 'blue'
+      });
+
+      expect(result.isError).toBe(true);
+      expect(result.structuredContent.violations).toEqual([
+        { path: 'width', message: 'width must be between 256 and 1440' },
+        { path: 'width', message: 'width must be a multiple of 32' },
+        { path: 'steps', message: 'steps must be between 1 and 50' },
+        { path: 'guidance', message: 'guidance must be a number' },
+        { path: 'colour', message: 'colour is not a supported parameter' }
+      ]);
+      expect(result.text).toContain('- steps must be between 1 and 50');
+      expect(mockApiClient.submitGeneration).not.toHaveBeenCalled();
+    });
+
+    test('should validate safety tolerance of zero', async () => {
+      const accepted = await server.callTool('flux_pro_generate', { prompt: 'Test', safety_tolerance: 0 });
+      const rejected = await server.callTool('flux_pro_generate', { prompt: 'Test', safety_tolerance: -1 });
+
+      expect(accepted.isError).toBeUndefined();
+      expect(accepted.text).toContain('Safety: 0');
+      expect(rejected.text).toContain('safety_tolerance must be between 0 and 6');
+    });
+
+    test('should apply the Kontext safety tolerance range', async () => {
+      const result = await server.callTool('flux_kontext_pro_generate', { prompt: 'Test', safety_tolerance: 4 });
+
+      expect(result.text).toContain('safety_tolerance must be between 0 and 2');
+    });
+
+    test('should validate task tool arguments', async () => {
+      const result = await server.callTool('flux_fetch_result', { task_id: 'abc', wait: 'yes' });
+
+      expect(result.text).toContain('wait must be true or false');
+    });
+
+    test('should validate safety tolerance range', async () => {
+      const result = await server.callTool('flux_pro_generate', {
+        prompt: 'Test',
+        safety_tolerance: 10 // Outside 0-6 range
+      });
+
+      expect(result.text).toContain('❌ Error');
+    });
+
+    test('should reject width and height for the ultra model', async () => {
+      const result = await server.callTool('flux_pro_11_ultra_generate', {
+        prompt: 'Test',
+        width: 2048,
+        height: 2048
+      });
+
+      expect(result.isError).toBe(true);
+      expect(result.text).toContain('width is not a supported parameter');
+      expect(result.text).toContain('height is not a supported parameter');
+      expect(mockApiClient.submitGeneration).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      [{ aspect_ratio: '32:9' }, 'aspect_ratio'],
+      [{ aspect_ratio: 'wide' }, 'aspect_ratio'],
+      [{ image_prompt_strength: 1.5 }, 'image_prompt_strength'],
+      [{ raw: 'yes' }, 'raw'],
+      [{ output_format: 'webp' }, 'output_format']
+    ])('should validate ultra parameters %o', async (overrides, field) => {
+      const result = await server.callTool('flux_pro_11_ultra_generate', { prompt: 'Test', ...overrides });
+
+      expect(result.isError).toBe(true);
+      expect(result.text).toContain(field);
     });
   });
 });
@@ -0,0 +1,152 @@
+// SPDX-License-Identifier: MIT
+/**
+ * 🧪 TDD Tests for Generation History
+ *
+ * Tests for the persistent JSONL log of generations and its search filters
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+
+import { GenerationHistory } from '../src/GenerationHistory.js';
+
+describe('📜 GenerationHistory', () => {
+  let history;
+  let tempDir;
+
+  const entry = (id, changes = {}) => ({
+    id,
+    taskId: id,
+    tool: 'flux_dev_generate',
+    endpoint: 'v1/flux-dev',
+    prompt: 'A red fox in the snow',
+    tags: [],
+    status: 'success',
+    createdAt: '2025-01-15T10:00:00.000Z',
+    ...changes
+  });
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'flux-history-'));
+    history = new GenerationHistory({ directory: tempDir });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('should require a directory', () => {
+    expect(() => new GenerationHistory()).toThrow('History directory is required');
+  });
+
+  test('should return an empty history before anything is recorded', async () => {
+    expect(await history.load()).toEqual([]);
+  });
+
+  test('should fold later changes into the original entry', async () => {
+    await history.record(entry('task-1', { status: 'pending' }));
+    await history.record({ id: 'task-1', status: 'success', savedPath: '/tmp/fox.jpg', seed: 42 });
+
+    expect(await history.get('task-1')).toMatchObject({
+      prompt: 'A red fox in the snow',
+      status: 'success',
+      savedPath: '/tmp/fox.jpg',
+      seed: 42
+    });
+    expect(await history.load()).toHaveLength(1);
+  });
+
+  test('should require an entry ID', async () => {
+    await expect(history.record({ prompt: 'No ID' })).rejects.toThrow('History entry ID is required');
+  });
+
+  test('should skip corrupt lines', async () => {
+    await history.record(entry('task-1'));
+    await fs.appendFile(history.filePath, '{"id": "task-2", "pro\n');
+    await history.record(entry('task-3'));
+
+    const entries = await history.load();
+
+    expect(entries.map(item => item.id).sort()).toEqual(['task-1', 'task-3']);
+  });
+
+  describe('🔍 Search', () => {
+    beforeEach(async () => {
+      await history.record(entry('fox', { createdAt: '2025-01-10T09:00:00.000Z', tags: ['Animals'] }));
+      await history.record(entry('city', {
+        tool: 'flux_pro_11_ultra_generate',
+        endpoint: 'v1/flux-pro-1.1-ultra',
+        prompt: 'Neon city skyline at night',
+        createdAt: '2025-01-20T18:30:00.000Z'
+      }));
+      await history.record(entry('wolf', {
+        prompt: 'A grey wolf in the snow',
+        status: 'failed',
+        createdAt: '2025-01-25T12:00:00.000Z'
+      }));
+    });
+
+    test('should list newest first with a total', async () => {
+      const { total, entries } = await history.search({ limit: 2 });
+
+      expect(total).toBe(3);
+      expect(entries.map(item => item.id)).toEqual(['wolf', 'city']);
+    });
+
+    test('should page with offset', async () => {
+      const { entries } = await history.search({ limit: 2, offset: 2 });
+
+      expect(entries.map(item => item.id)).toEqual(['fox']);
+    });
+
+    test('should require every query word in the prompt', async () => {
+      const { entries } = await history.search({ query: 'SNOW fox' });
+
+      expect(entries.map(item => item.id)).toEqual(['fox']);
+    });
+
+    test('should filter by tool name or endpoint', async () => {
+      expect((await history.search({ model: 'ultra' })).entries.map(item => item.id)).toEqual(['city']);
+      expect((await history.search({ model: 'flux_dev_generate' })).total).toBe(2);
+    });
+
+    test('should filter by status and tag', async () => {
+      expect((await history.search({ status: 'failed' })).entries.map(item => item.id)).toEqual(['wolf']);
+      expect((await history.search({ tag: 'animals' })).entries.map(item => item.id)).toEqual(['fox']);
+    });
+
+    test('should filter by batch ID', async () => {
+      await history.record({ id: 'wolf', batchId: 'batch-1234abcd' });
+
+      expect((await history.search({ batchId: 'batch-1234abcd' })).entries.map(item => item.id)).toEqual(['wolf']);
+    });
+
+    test('should treat a bare until date as the whole day', async () => {
+      const { entries } = await history.search({ since: '2025-01-15', until: '2025-01-20' });
+
+      expect(entries.map(item => item.id)).toEqual(['city']);
+    });
+  });
+
+  test('should recognise omitted values', () => {
+    expect(GenerationHistory.isOmitted('<5000 characters omitted>')).toBe(true);
+    expect(GenerationHistory.isOmitted('A prompt')).toBe(false);
+    expect(GenerationHistory.isOmitted(42)).toBe(false);
+  });
+
+  test('should replace oversized strings when sanitizing parameters', () => {
+    const sanitized = GenerationHistory.sanitizeParameters({
+      prompt: 'Short',
+      image_prompt: 'a'.repeat(5000),
+      seed: 7
+    });
+
+    expect(sanitized).toEqual({
+      prompt: 'Short',
+      image_prompt: '<5000 characters omitted>',
+      seed: 7
+    });
+  });
+});
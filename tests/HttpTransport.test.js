@@ -0,0 +1,285 @@
+// SPDX-License-Identifier: MIT
+/**
+ * 🧪 TDD Tests for HTTP Transport
+ *
+ * Tests for MCP Streamable HTTP: sessions, SSE responses and bearer auth
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import http from 'http';
+
+import { HttpTransport } from '../src/HttpTransport.js';
+import { FluxMcpServer } from '../src/FluxMcpServer.js';
+
+describe('🌍 HttpTransport', () => {
+  let transport;
+  let server;
+  let baseUrl;
+
+  const initializeMessage = {
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'initialize',
+    params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test' } }
+  };
+
+  // Minimal HTTP client that also lets SSE streams be read incrementally
+  const request = (method, { body, headers = {} } = {}) => new Promise((resolve, reject) => {
+    const req = http.request(`${baseUrl}/mcp`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        ...headers
+      }
+    }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data }));
+    });
+    req.on('error', reject);
+    if (body !== undefined) {
+      req.write(typeof body === 'string' ? body : JSON.stringify(body));
+    }
+    req.end();
+  });
+
+  const parseEvents = (body) => body
+    .split('\n\n')
+    .filter(block => block.includes('data: '))
+    .map(block => JSON.parse(block.split('data: ')[1]));
+
+  const startTransport = async (options = {}) => {
+    transport = new HttpTransport({ server, port: 0, ...options });
+    const { port } = await transport.start();
+    baseUrl = `http://127.0.0.1:${port}`;
+  };
+
+  const openSession = async (headers = {}) => {
+    const response = await request('POST', { body: initializeMessage, headers });
+    return response.headers['mcp-session-id'];
+  };
+
+  beforeEach(() => {
+    server = new FluxMcpServer({
+      apiClient: {
+        submitGeneration: jest.fn(),
+        waitForCompletion: jest.fn()
+      },
+      fileManager: {
+        saveGeneratedImage: jest.fn(),
+        getOutputRelativePath: jest.fn().mockReturnValue(null)
+      }
+    });
+  });
+
+  afterEach(async () => {
+    if (transport) {
+      await transport.close();
+      transport = null;
+    }
+  });
+
+  describe('🏗️ Initialization', () => {
+    test('should require a server', () => {
+      expect(() => new HttpTransport()).toThrow('MCP server is required');
+    });
+
+    test('should assign a session ID on initialize', async () => {
+      await startTransport();
+
+      const response = await request('POST', { body: initializeMessage });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('text/event-stream');
+      expect(response.headers['mcp-session-id']).toMatch(/^[0-9a-f-]{36}$/);
+      expect(parseEvents(response.body)[0].result.serverInfo.name).toBe('flux-ai-mcp-server');
+    });
+
+    test('should answer with plain JSON when SSE is not accepted', async () => {
+      await startTransport();
+
+      const response = await request('POST', {
+        body: initializeMessage,
+        headers: { Accept: 'application/json' }
+      });
+
+      expect(response.headers['content-type']).toBe('application/json');
+      expect(JSON.parse(response.body).result.protocolVersion).toBe('2025-06-18');
+    });
+  });
+
+  describe('🔑 Sessions', () => {
+    test('should share the same FluxMcpServer across sessions', async () => {
+      await startTransport();
+      const first = await openSession();
+      const second = await openSession();
+
+      expect(first).not.toBe(second);
+      expect(transport.sessions.get(first).handler.server).toBe(server);
+      expect(transport.sessions.get(second).handler.server).toBe(server);
+    });
+
+    test('should route requests with a session ID', async () => {
+      await startTransport();
+      const sessionId = await openSession();
+
+      const response = await request('POST', {
+        body: { jsonrpc: '2.0', id: 2, method: 'tools/list' },
+        headers: { 'Mcp-Session-Id': sessionId }
+      });
+
+      const [reply] = parseEvents(response.body);
+      expect(reply.id).toBe(2);
+      expect(reply.result.tools.length).toBeGreaterThan(0);
+    });
+
+    test('should stream progress notifications before the response', async () => {
+      server.apiClient.submitGeneration.mockResolvedValue({ id: 'task-1' });
+      server.apiClient.waitForCompletion.mockImplementation(async (taskId, { onProgress }) => {
+        onProgress({ status: 'Pending', progress: 40 });
+        return { status: 'Ready', result: { sample: 'https://example.com/image.jpg' } };
+      });
+      server.fileManager.saveGeneratedImage.mockResolvedValue({ savedPath: '/tmp/image.jpg', size: 1 });
+      await startTransport();
+      const sessionId = await openSession();
+
+      const response = await request('POST', {
+        body: {
+          jsonrpc: '2.0',
+          id: 5,
+          method: 'tools/call',
+          params: { name: 'flux_dev_generate', arguments: { prompt: 'Test' }, _meta: { progressToken: 'p-5' } }
+        },
+        headers: { 'Mcp-Session-Id': sessionId }
+      });
+
+      const [progress, reply] = parseEvents(response.body);
+      expect(progress).toMatchObject({
+        method: 'notifications/progress',
+        params: { progressToken: 'p-5', progress: 40, total: 100 }
+      });
+      expect(reply.id).toBe(5);
+      expect(reply.result.isError).toBe(false);
+    });
+
+    test('should accept notifications with 202', async () => {
+      await startTransport();
+      const sessionId = await openSession();
+
+      const response = await request('POST', {
+        body: { jsonrpc: '2.0', method: 'notifications/initialized' },
+        headers: { 'Mcp-Session-Id': sessionId }
+      });
+
+      expect(response.status).toBe(202);
+      expect(transport.sessions.get(sessionId).handler.initialized).toBe(true);
+    });
+
+    test('should reject requests without a session ID', async () => {
+      await startTransport();
+
+      const response = await request('POST', { body: { jsonrpc: '2.0', id: 3, method: 'ping' } });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should return 404 for unknown or terminated sessions', async () => {
+      await startTransport();
+      const sessionId = await openSession();
+
+      const deleted = await request('DELETE', { headers: { 'Mcp-Session-Id': sessionId } });
+      const response = await request('POST', {
+        body: { jsonrpc: '2.0', id: 4, method: 'ping' },
+        headers: { 'Mcp-Session-Id': sessionId }
+      });
+
+      expect(deleted.status).toBe(200);
+      expect(response.status).toBe(404);
+    });
+
+    test('should push server messages to standalone SSE streams', async () => {
+      await startTransport();
+      const sessionId = await openSession();
+
+      const received = new Promise((resolve) => {
+        http.get(`${baseUrl}/mcp`, {
+          headers: { Accept: 'text/event-stream', 'Mcp-Session-Id': sessionId }
+        }, (res) => {
+          res.setEncoding('utf8');
+          res.on('data', chunk => {
+            if (chunk.includes('data: ')) {
+              resolve(parseEvents(chunk)[0]);
+              res.destroy();
+            }
+          });
+          transport.send(sessionId, { jsonrpc: '2.0', method: 'notifications/resources/list_changed' });
+        });
+      });
+
+      await expect(received).resolves.toEqual({ jsonrpc: '2.0', method: 'notifications/resources/list_changed' });
+    });
+  });
+
+  describe('🛡️ Security', () => {
+    test('should require a bearer token when configured', async () => {
+      await startTransport({ authToken: 'secret-token' });
+
+      const response = await request('POST', { body: initializeMessage });
+
+      expect(response.status).toBe(401);
+      expect(response.headers['www-authenticate']).toBe('Bearer');
+    });
+
+    test('should reject a wrong bearer token', async () => {
+      await startTransport({ authToken: 'secret-token' });
+
+      const response = await request('POST', {
+        body: initializeMessage,
+        headers: { Authorization: 'Bearer wrong-token' }
+      });
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should accept the configured bearer token', async () => {
+      await startTransport({ authToken: 'secret-token' });
+
+      const response = await request('POST', {
+        body: initializeMessage,
+        headers: { Authorization: 'Bearer secret-token' }
+      });
+
+      expect(response.status).toBe(200);
+    });
+
+    test('should reject disallowed origins', async () => {
+      await startTransport({ allowedOrigins: ['https://proxy.internal'] });
+
+      const response = await request('POST', {
+        body: initializeMessage,
+        headers: { Origin: 'https://evil.example' }
+      });
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should return parse errors for malformed bodies', async () => {
+      await startTransport();
+
+      const response = await request('POST', { body: '{oops' });
+
+      expect(response.status).toBe(400);
+      expect(JSON.parse(response.body).error.code).toBe(-32700);
+    });
+
+    test('should reject unsupported methods', async () => {
+      await startTransport();
+
+      const response = await request('PUT', { body: initializeMessage });
+
+      expect(response.status).toBe(405);
+    });
+  });
+});
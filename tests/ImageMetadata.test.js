@@ -0,0 +1,105 @@
+// SPDX-License-Identifier: MIT
+/**
+ * 🧪 TDD Tests for Image Metadata
+ *
+ * Tests for embedding generation metadata in PNG/JPEG files and reading it back
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { PNG } from 'pngjs';
+
+import { embedMetadata, readMetadata } from '../src/ImageMetadata.js';
+import { decodeImage, encodeImage } from '../src/ImageUtils.js';
+
+const image = { width: 4, height: 3, data: Buffer.alloc(4 * 3 * 4, 200) };
+
+const metadata = {
+  prompt: 'Café at dusk, "warm" light & <neon> signs',
+  model: 'flux-dev',
+  tool: 'flux_dev_generate',
+  seed: 1234,
+  taskId: 'task-abc',
+  createdAt: '2025-01-20T18:30:00.000Z',
+  parameters: { prompt: 'Café at dusk', steps: 28 }
+};
+
+describe('🏷️ ImageMetadata', () => {
+  describe('🖼️ PNG', () => {
+    test('should round-trip metadata through iTXt chunks', () => {
+      const tagged = embedMetadata(encodeImage(image, 'png'), metadata);
+
+      expect(readMetadata(tagged)).toEqual(metadata);
+      expect(tagged.includes(Buffer.from('tEXtSoftware\0flux-mcp-server', 'latin1'))).toBe(true);
+      expect(tagged.includes(Buffer.from('iTXtDescription', 'latin1'))).toBe(true);
+    });
+
+    test('should keep the image decodable', () => {
+      const tagged = embedMetadata(encodeImage(image, 'png'), metadata);
+
+      // pngjs verifies chunk CRCs while reading
+      expect(() => PNG.sync.read(tagged, { checkCRC: true })).not.toThrow();
+      expect(decodeImage(tagged)).toMatchObject({ width: 4, height: 3 });
+    });
+
+    test('should replace earlier metadata instead of stacking it', () => {
+      const once = embedMetadata(encodeImage(image, 'png'), metadata);
+      const twice = embedMetadata(once, { ...metadata, seed: 99 });
+
+      expect(readMetadata(twice).seed).toBe(99);
+      expect(twice.length).toBe(once.length - '1234'.length + '99'.length);
+    });
+  });
+
+  describe('📷 JPEG', () => {
+    test('should round-trip metadata through XMP', () => {
+      const tagged = embedMetadata(encodeImage(image, 'jpeg'), metadata);
+
+      expect(readMetadata(tagged)).toEqual(metadata);
+      expect(decodeImage(tagged)).toMatchObject({ width: 4, height: 3 });
+    });
+
+    test('should write EXIF description and software', () => {
+      const tagged = embedMetadata(encodeImage(image, 'jpeg'), metadata);
+      const exifStart = tagged.indexOf(Buffer.from('Exif\0\0', 'latin1'));
+
+      expect(exifStart).toBeGreaterThan(0);
+      expect(tagged.includes(Buffer.from(`${metadata.prompt}\0`, 'utf8'))).toBe(true);
+      expect(tagged.includes(Buffer.from('flux-mcp-server\0', 'latin1'))).toBe(true);
+      expect(tagged.includes(Buffer.from('2025:01:20 18:30:00\0', 'latin1'))).toBe(true);
+    });
+
+    test('should keep JFIF first', () => {
+      const tagged = embedMetadata(encodeImage(image, 'jpeg'), metadata);
+
+      expect([...tagged.subarray(0, 4)]).toEqual([0xff, 0xd8, 0xff, 0xe0]);
+    });
+
+    test('should replace earlier metadata instead of stacking it', () => {
+      const once = embedMetadata(encodeImage(image, 'jpeg'), metadata);
+      const twice = embedMetadata(once, { ...metadata, seed: 99 });
+      const xmpCount = twice.toString('latin1').split('http://ns.adobe.com/xap/1.0/\0').length - 1;
+
+      expect(readMetadata(twice).seed).toBe(99);
+      expect(xmpCount).toBe(1);
+    });
+
+    test('should refuse metadata that does not fit in a segment', () => {
+      expect(() => embedMetadata(encodeImage(image, 'jpeg'), { prompt: 'x'.repeat(70000) }))
+        .toThrow('Metadata is too large for a JPEG segment');
+    });
+  });
+
+  test('should return null for images without metadata', () => {
+    expect(readMetadata(encodeImage(image, 'png'))).toBeNull();
+    expect(readMetadata(encodeImage(image, 'jpeg'))).toBeNull();
+    expect(readMetadata(Buffer.from('not an image at all'))).toBeNull();
+  });
+
+  test('should leave other formats unchanged', () => {
+    const webp = Buffer.alloc(30);
+    webp.write('RIFF', 0, 'ascii');
+    webp.write('WEBPVP8X', 8, 'ascii');
+
+    expect(embedMetadata(webp, metadata)).toBe(webp);
+  });
+});
@@ -0,0 +1,110 @@
+// SPDX-License-Identifier: MIT
+/**
+ * 🧪 TDD Tests for Image Utils
+ *
+ * Tests for format sniffing and header-based dimension parsing
+ */
+
+import { describe, test, expect } from '@jest/globals';
+
+import {
+  decodeImage,
+  detectImageFormat,
+  downscaleImage,
+  encodeImage,
+  getImageDimensions,
+  resizeImage
+} from '../src/ImageUtils.js';
+
+const pngHeader = (width, height) => {
+  const buffer = Buffer.alloc(33);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer);
+  buffer.writeUInt32BE(13, 8);
+  buffer.write('IHDR', 12, 'ascii');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+};
+
+const jpegHeader = (width, height) => Buffer.concat([
+  Buffer.from([0xff, 0xd8]),
+  // APP0 segment that has to be skipped
+  Buffer.from([0xff, 0xe0, 0x00, 0x06, 0x4a, 0x46, 0x49, 0x46]),
+  Buffer.from([0xff, 0xc0, 0x00, 0x11, 0x08, height >> 8, height & 0xff, width >> 8, width & 0xff, 0x03]),
+  Buffer.alloc(8)
+]);
+
+const webpHeader = (width, height) => {
+  const buffer = Buffer.alloc(30);
+  buffer.write('RIFF', 0, 'ascii');
+  buffer.write('WEBP', 8, 'ascii');
+  buffer.write('VP8X', 12, 'ascii');
+  buffer.writeUIntLE(width - 1, 24, 3);
+  buffer.writeUIntLE(height - 1, 27, 3);
+  return buffer;
+};
+
+const solidImage = (width, height, rgba) => {
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data.set(rgba, i);
+  }
+  return { width, height, data };
+};
+
+describe('🖼️ ImageUtils', () => {
+  test('should detect image formats from magic bytes', () => {
+    expect(detectImageFormat(pngHeader(1, 1))).toBe('png');
+    expect(detectImageFormat(jpegHeader(1, 1))).toBe('jpeg');
+    expect(detectImageFormat(webpHeader(1, 1))).toBe('webp');
+    expect(detectImageFormat(Buffer.from('plain text, not an image'))).toBeNull();
+  });
+
+  test('should read PNG dimensions', () => {
+    expect(getImageDimensions(pngHeader(1024, 768))).toEqual({ format: 'png', width: 1024, height: 768 });
+  });
+
+  test('should read JPEG dimensions past leading segments', () => {
+    expect(getImageDimensions(jpegHeader(1920, 1080))).toEqual({ format: 'jpeg', width: 1920, height: 1080 });
+  });
+
+  test('should read WebP dimensions', () => {
+    expect(getImageDimensions(webpHeader(640, 480))).toEqual({ format: 'webp', width: 640, height: 480 });
+  });
+
+  test('should reject unsupported formats', () => {
+    expect(() => getImageDimensions(Buffer.from('GIF89a-not-supported'))).toThrow('Unsupported image format');
+  });
+
+  test('should round-trip pixels through PNG encoding', () => {
+    const image = solidImage(4, 2, [10, 20, 30, 255]);
+
+    const decoded = decodeImage(encodeImage(image, 'png'));
+
+    expect(decoded.width).toBe(4);
+    expect(decoded.height).toBe(2);
+    expect(decoded.data.equals(image.data)).toBe(true);
+  });
+
+  test('should average source pixels when resizing', () => {
+    const image = { width: 2, height: 1, data: Buffer.from([0, 0, 0, 255, 200, 100, 50, 255]) };
+
+    expect(resizeImage(image, 1, 1).data).toEqual(Buffer.from([100, 50, 25, 255]));
+  });
+
+  test('should downscale large images to the maximum dimension', () => {
+    const png = encodeImage(solidImage(64, 32, [255, 0, 0, 255]), 'png');
+    const jpegImage = encodeImage(solidImage(64, 32, [255, 0, 0, 255]), 'jpeg');
+
+    expect(getImageDimensions(downscaleImage(png, 16))).toEqual({ format: 'png', width: 16, height: 8 });
+    expect(getImageDimensions(downscaleImage(jpegImage, 16))).toEqual({ format: 'jpeg', width: 16, height: 8 });
+  });
+
+  test('should leave small or undecodable images untouched', () => {
+    const png = encodeImage(solidImage(8, 8, [0, 0, 0, 255]), 'png');
+    const webp = webpHeader(4096, 4096);
+
+    expect(downscaleImage(png, 16)).toBe(png);
+    expect(downscaleImage(webp, 16)).toBe(webp);
+  });
+});
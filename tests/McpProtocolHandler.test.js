@@ -0,0 +1,313 @@
+// SPDX-License-Identifier: MIT
+/**
+ * 🧪 TDD Tests for MCP Protocol Handler
+ *
+ * Tests for JSON-RPC 2.0 dispatch of MCP methods onto FluxMcpServer
+ */
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+
+import { McpProtocolHandler, ErrorCodes } from '../src/McpProtocolHandler.js';
+import { FluxMcpServer } from '../src/FluxMcpServer.js';
+
+describe('🔌 McpProtocolHandler', () => {
+  let handler;
+  let server;
+  let mockApiClient;
+  let mockFileManager;
+
+  const request = (id, method, params) => ({ jsonrpc: '2.0', id, method, params });
+
+  beforeEach(() => {
+    mockApiClient = {
+      submitGeneration: jest.fn().mockResolvedValue({ id: 'test-task-123' }),
+      waitForCompletion: jest.fn().mockResolvedValue({
+        status: 'Ready',
+        result: { sample: 'https://example.com/generated-image.jpg' }
+      })
+    };
+
+    mockFileManager = {
+      saveGeneratedImage: jest.fn().mockResolvedValue({
+        savedPath: '/tmp/test/generated.jpg',
+        filename: 'generated.jpg',
+        directory: '/tmp/test',
+        size: 1024
+      }),
+      createThumbnail: jest.fn().mockResolvedValue({ data: Buffer.from('thumbnail'), mimeType: 'image/jpeg' }),
+      listSavedImages: jest.fn().mockResolvedValue([]),
+      getOutputRelativePath: jest.fn().mockReturnValue(null)
+    };
+
+    server = new FluxMcpServer({ apiClient: mockApiClient, fileManager: mockFileManager });
+    handler = new McpProtocolHandler({ server });
+  });
+
+  describe('🏗️ Initialization', () => {
+    test('should require a server', () => {
+      expect(() => new McpProtocolHandler()).toThrow('MCP server is required');
+    });
+
+    test('should negotiate a supported protocol version', async () => {
+      const response = await handler.handleMessage(request(1, 'initialize', {
+        protocolVersion: '2025-03-26',
+        capabilities: {},
+        clientInfo: { name: 'cursor', version: '1.0.0' }
+      }));
+
+      expect(response).toEqual({
+        jsonrpc: '2.0',
+        id: 1,
+        result: {
+          protocolVersion: '2025-03-26',
+          capabilities: expect.objectContaining({
+            tools: expect.any(Object),
+            resources: expect.any(Object)
+          }),
+          serverInfo: { name: 'flux-ai-mcp-server', version: '1.0.0' }
+        }
+      });
+      expect(handler.clientInfo).toEqual({ name: 'cursor', version: '1.0.0' });
+    });
+
+    test('should offer the latest version for unknown protocol versions', async () => {
+      const response = await handler.handleMessage(request(1, 'initialize', { protocolVersion: '1999-01-01' }));
+
+      expect(response.result.protocolVersion).toBe('2025-06-18');
+    });
+
+    test('should mark the session initialized on notification', async () => {
+      const response = await handler.handleMessage({ jsonrpc: '2.0', method: 'notifications/initialized' });
+
+      expect(response).toBeNull();
+      expect(handler.initialized).toBe(true);
+    });
+
+    test('should answer ping with an empty result', async () => {
+      const response = await handler.handleMessage(request('p-1', 'ping'));
+
+      expect(response).toEqual({ jsonrpc: '2.0', id: 'p-1', result: {} });
+    });
+  });
+
+  describe('🛠️ Tools', () => {
+    test('should list tools from the server', async () => {
+      const response = await handler.handleMessage(request(2, 'tools/list'));
+
+      expect(response.result.tools.map(tool => tool.name)).toContain('flux_pro_generate');
+    });
+
+    test('should call a tool and wrap its content', async () => {
+      const response = await handler.handleMessage(request(3, 'tools/call', {
+        name: 'flux_dev_generate',
+        arguments: { prompt: 'A lighthouse' }
+      }));
+
+      expect(mockApiClient.submitGeneration).toHaveBeenCalledWith('v1/flux-dev', { prompt: 'A lighthouse' }, expect.any(Object));
+      expect(response.result).toEqual({
+        content: [
+          { type: 'text', text: expect.stringContaining('Image Generated Successfully') },
+          { type: 'image', data: Buffer.from('thumbnail').toString('base64'), mimeType: 'image/jpeg' },
+          { type: 'resource_link', uri: 'file:///tmp/test/generated.jpg', name: 'generated.jpg', mimeType: 'image/jpeg', size: 1024 }
+        ],
+        isError: false
+      });
+    });
+
+    test('should leave out resource links for clients on older protocol versions', async () => {
+      await handler.handleMessage(request(1, 'initialize', { protocolVersion: '2025-03-26' }));
+
+      const response = await handler.handleMessage(request(3, 'tools/call', {
+        name: 'flux_dev_generate',
+        arguments: { prompt: 'A lighthouse' }
+      }));
+
+      expect(response.result.content.map(item => item.type)).toEqual(['text', 'image']);
+    });
+
+    test('should report failed executions as tool errors', async () => {
+      const response = await handler.handleMessage(request(4, 'tools/call', {
+        name: 'flux_dev_generate',
+        arguments: {}
+      }));
+
+      expect(response.result).toEqual({
+        content: [{ type: 'text', text: expect.stringContaining('prompt is required') }],
+        isError: true,
+        structuredContent: {
+          error: 'invalid_arguments',
+          tool: 'flux_dev_generate',
+          violations: [{ path: 'prompt', message: 'prompt is required' }]
+        }
+      });
+    });
+
+    test('should forward progress tokens to tool calls', async () => {
+      const sendNotification = jest.fn();
+      mockApiClient.waitForCompletion.mockImplementation(async (taskId, { onProgress }) => {
+        onProgress({ status: 'Pending', progress: 50 });
+        return { status: 'Ready', result: { sample: 'https://example.com/generated-image.jpg' } };
+      });
+
+      await handler.handleMessage(request(30, 'tools/call', {
+        name: 'flux_dev_generate',
+        arguments: { prompt: 'A lighthouse' },
+        _meta: { progressToken: 'abc' }
+      }), { sendNotification });
+
+      expect(sendNotification).toHaveBeenCalledWith({
+        jsonrpc: '2.0',
+        method: 'notifications/progress',
+        params: expect.objectContaining({ progressToken: 'abc', progress: 50, total: 100 })
+      });
+    });
+
+    test('should cancel an in-flight tool call on notifications/cancelled', async () => {
+      mockApiClient.waitForCompletion.mockImplementation((taskId, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      }));
+
+      const pending = handler.handleMessage(request(31, 'tools/call', {
+        name: 'flux_dev_generate',
+        arguments: { prompt: 'A lighthouse' }
+      }));
+      await new Promise(resolve => setImmediate(resolve));
+      await handler.handleMessage({
+        jsonrpc: '2.0',
+        method: 'notifications/cancelled',
+        params: { requestId: 31, reason: 'User stopped' }
+      });
+      const response = await pending;
+
+      expect(response.result.isError).toBe(true);
+      expect(response.result.content[0].text).toContain('Generation cancelled');
+      expect(handler.inFlight.size).toBe(0);
+    });
+
+    test('should ignore cancellation of unknown requests', async () => {
+      const response = await handler.handleMessage({
+        jsonrpc: '2.0',
+        method: 'notifications/cancelled',
+        params: { requestId: 'gone' }
+      });
+
+      expect(response).toBeNull();
+    });
+
+    test('should reject unknown tools with invalid params', async () => {
+      const response = await handler.handleMessage(request(5, 'tools/call', { name: 'nope', arguments: {} }));
+
+      expect(response.error).toEqual({ code: ErrorCodes.INVALID_PARAMS, message: 'Unknown tool: nope' });
+    });
+
+    test('should reject non-object arguments', async () => {
+      const response = await handler.handleMessage(request(6, 'tools/call', {
+        name: 'flux_dev_generate',
+        arguments: ['prompt']
+      }));
+
+      expect(response.error.code).toBe(ErrorCodes.INVALID_PARAMS);
+    });
+  });
+
+  describe('📋 Resources', () => {
+    test('should list expert resources', async () => {
+      const response = await handler.handleMessage(request(7, 'resources/list'));
+
+      expect(response.result.resources).toEqual(
+        expect.arrayContaining([expect.objectContaining({ uri: 'flux-expert://image_expert' })])
+      );
+    });
+
+    test('should page resources with an opaque cursor', async () => {
+      const all = Array.from({ length: 60 }, (_, index) => ({ uri: `flux-image://${index}.png` }));
+      server.listResources = jest.fn(async ({ offset, limit }) => all.slice(offset, offset + limit));
+
+      const first = await handler.handleMessage(request(7, 'resources/list'));
+      const second = await handler.handleMessage(request(8, 'resources/list', { cursor: first.result.nextCursor }));
+
+      expect(first.result.resources).toHaveLength(50);
+      expect(second.result.resources.map(resource => resource.uri)).toEqual(all.slice(50).map(resource => resource.uri));
+      expect(second.result.nextCursor).toBeUndefined();
+      expect(server.listResources).toHaveBeenLastCalledWith({ offset: 50, limit: 51 });
+    });
+
+    test('should reject invalid cursors', async () => {
+      const response = await handler.handleMessage(request(7, 'resources/list', { cursor: 'not a cursor' }));
+
+      expect(response.error).toMatchObject({ code: ErrorCodes.INVALID_PARAMS, message: 'Invalid cursor' });
+    });
+
+    test('should read a resource as text contents', async () => {
+      const response = await handler.handleMessage(request(8, 'resources/read', { uri: 'flux-expert://logo_expert' }));
+
+      expect(response.result.contents).toEqual([{
+        uri: 'flux-expert://logo_expert',
+        mimeType: 'text/plain',
+        text: expect.stringContaining('elite logo design expert')
+      }]);
+    });
+
+    test('should read image resources as blob contents', async () => {
+      server.readResource = jest.fn().mockResolvedValue({ type: 'blob', blob: 'aW1hZ2U=', mimeType: 'image/png' });
+
+      const response = await handler.handleMessage(request(8, 'resources/read', { uri: 'flux-image://harbor.png' }));
+
+      expect(response.result.contents).toEqual([{ uri: 'flux-image://harbor.png', mimeType: 'image/png', blob: 'aW1hZ2U=' }]);
+    });
+
+    test('should return resource not found for unknown URIs', async () => {
+      const response = await handler.handleMessage(request(9, 'resources/read', { uri: 'flux-expert://missing' }));
+
+      expect(response.error).toMatchObject({
+        code: ErrorCodes.RESOURCE_NOT_FOUND,
+        data: { uri: 'flux-expert://missing' }
+      });
+    });
+  });
+
+  describe('🛡️ JSON-RPC Errors', () => {
+    test('should return parse errors for malformed frames', async () => {
+      const reply = await handler.handleRaw('{not json');
+
+      expect(JSON.parse(reply)).toEqual({
+        jsonrpc: '2.0',
+        id: null,
+        error: { code: ErrorCodes.PARSE_ERROR, message: 'Parse error' }
+      });
+    });
+
+    test('should reject messages without jsonrpc 2.0', async () => {
+      const response = await handler.handleMessage({ id: 1, method: 'ping' });
+
+      expect(response.error.code).toBe(ErrorCodes.INVALID_REQUEST);
+    });
+
+    test('should return method not found for unknown methods', async () => {
+      const response = await handler.handleMessage(request(10, 'prompts/list'));
+
+      expect(response.error.code).toBe(ErrorCodes.METHOD_NOT_FOUND);
+    });
+
+    test('should map unexpected failures to internal errors', async () => {
+      server.listResources = jest.fn().mockRejectedValue(new Error('disk on fire'));
+
+      const response = await handler.handleMessage(request(11, 'resources/list'));
+
+      expect(response.error).toEqual({
+        code: ErrorCodes.INTERNAL_ERROR,
+        message: 'Internal error: disk on fire'
+      });
+    });
+
+    test('should answer batches and skip notifications', async () => {
+      const response = await handler.handleMessage([
+        request(12, 'ping'),
+        { jsonrpc: '2.0', method: 'notifications/initialized' },
+        request(13, 'ping')
+      ]);
+
+      expect(response.map(reply => reply.id)).toEqual([12, 13]);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+// SPDX-License-Identifier: MIT
+/**
+ * 🧪 TDD Tests for Model Registry
+ *
+ * Tests for deriving tool schemas, payloads and endpoints from model definitions
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+
+import { ModelRegistry, DEFAULT_MODELS, parseAspectRatio } from '../src/ModelRegistry.js';
+
+describe('🗂️ ModelRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new ModelRegistry();
+  });
+
+  test('should derive the endpoint map from the models', () => {
+    expect(registry.getEndpointMap()).toMatchObject({
+      'flux_pro_generate': 'v1/flux-pro',
+      'flux_pro_11_ultra_generate': 'v1/flux-pro-1.1-ultra',
+      'flux_depth_generate': 'v1/flux-pro-1.0-depth'
+    });
+    expect(Object.keys(registry.getEndpointMap())).toHaveLength(DEFAULT_MODELS.length);
+  });
+
+  test('should build tool definitions with pricing and common parameters', () => {
+    const tool = registry.getToolDefinition('flux_dev_generate');
+
+    expect(tool.description).toContain('FLUX.1 [dev]');
+    expect(tool.description).toContain('~$0.025 per image');
+    expect(tool.inputSchema).toMatchObject({
+      type: 'object',
+      required: ['prompt'],
+      additionalProperties: false
+    });
+    expect(tool.inputSchema.properties.steps).toEqual({
+      type: 'integer',
+      minimum: 1,
+      maximum: 50,
+      description: 'Generation steps (1-50, default 28)',
+      default: 28
+    });
+    expect(Object.keys(tool.inputSchema.properties)).toEqual(expect.arrayContaining(['output_path', 'filename', 'async']));
+  });
+
+  test('should keep registry metadata out of published schemas', () => {
+    const { properties } = registry.getToolDefinition('flux_expand_generate').inputSchema;
+
+    expect(properties.aspect_ratio).not.toHaveProperty('serverOnly');
+    expect(properties.aspect_ratio.pattern).toBe('^\\d+:\\d+$');
+  });
+
+  test('should only send fields the endpoint supports', () => {
+    const payload = registry.buildPayload('flux_pro_11_generate', {
+      prompt: 'A fox',
+      steps: 40,
+      guidance: 3,
+      output_path: 'foxes',
+      filename: 'fox',
+      async: true,
+      seed: 7
+    });
+
+    expect(payload).toEqual({ prompt: 'A fox', seed: 7 });
+  });
+
+  test('should check aspect-ratio ranges the schema cannot express', () => {
+    expect(registry.validateConstraints('flux_kontext_pro_generate', { aspect_ratio: '32:9' })).toEqual([
+      { path: 'aspect_ratio', message: 'aspect_ratio must lie between 21:9 and 9:21' }
+    ]);
+    expect(registry.validateConstraints('flux_kontext_pro_generate', { aspect_ratio: '21:9' })).toEqual([]);
+    expect(registry.validateConstraints('flux_expand_generate', { aspect_ratio: '32:9' })).toEqual([]);
+  });
+
+  test('should keep the canny low threshold below the high one', () => {
+    expect(registry.validateConstraints('flux_canny_generate', { canny_low_threshold: 300, canny_high_threshold: 100 })).toEqual([
+      { path: 'canny_low_threshold', message: 'canny_low_threshold must be lower than canny_high_threshold' }
+    ]);
+    expect(registry.validateConstraints('flux_canny_generate', { canny_low_threshold: 50, canny_high_threshold: 200 })).toEqual([]);
+    expect(registry.validateConstraints('flux_canny_generate', { canny_low_threshold: 300 })).toEqual([]);
+  });
+
+  test('should accept new models as data', () => {
+    registry.register({
+      tool: 'flux_schnell_generate',
+      endpoint: 'v1/flux-schnell',
+      description: 'Fast drafts',
+      parameters: { prompt: { schema: { type: 'string', description: 'Prompt' } } }
+    });
+
+    expect(registry.getEndpointMap().flux_schnell_generate).toBe('v1/flux-schnell');
+    expect(registry.getToolDefinition('flux_schnell_generate').inputSchema.required).toEqual(['prompt']);
+    expect(() => registry.register({ tool: 'broken' })).toThrow('tool name and an endpoint');
+  });
+
+  test('should parse aspect ratios', () => {
+    expect(parseAspectRatio('16:9')).toEqual({ width: 16, height: 9 });
+    expect(parseAspectRatio('0:9')).toBeNull();
+    expect(parseAspectRatio('wide')).toBeNull();
+  });
+});
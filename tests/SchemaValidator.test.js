@@ -0,0 +1,88 @@
+// SPDX-License-Identifier: MIT
+/**
+ * 🧪 TDD Tests for Schema Validator
+ *
+ * Tests for validating tool arguments against their JSON Schema
+ */
+
+import { describe, test, expect } from '@jest/globals';
+
+import { validateAgainstSchema } from '../src/SchemaValidator.js';
+
+describe('📐 SchemaValidator', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      prompt: { type: 'string', minLength: 1 },
+      width: { type: 'integer', minimum: 256, maximum: 1440, multipleOf: 32 },
+      guidance: { type: 'number', minimum: 1.5 },
+      output_format: { type: 'string', enum: ['jpeg', 'png'] },
+      aspect_ratio: { type: 'string', pattern: '^\\d+:\\d+$' },
+      tags: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['prompt'],
+    additionalProperties: false
+  };
+
+  test('should accept valid arguments', () => {
+    expect(validateAgainstSchema(schema, {
+      prompt: 'A fox',
+      width: 1024,
+      guidance: 2.5,
+      output_format: 'png',
+      aspect_ratio: '16:9',
+      tags: ['animal']
+    })).toEqual([]);
+  });
+
+  test('should report required and empty values', () => {
+    expect(validateAgainstSchema(schema, {})).toEqual([{ path: 'prompt', message: 'prompt is required' }]);
+    expect(validateAgainstSchema(schema, { prompt: '' })).toEqual([{ path: 'prompt', message: 'prompt must not be empty' }]);
+  });
+
+  test('should treat zero as a real value', () => {
+    const zeroSchema = { type: 'object', properties: { safety_tolerance: { type: 'integer', minimum: 0, maximum: 6 } } };
+
+    expect(validateAgainstSchema(zeroSchema, { safety_tolerance: 0 })).toEqual([]);
+    expect(validateAgainstSchema(zeroSchema, { safety_tolerance: 7 })).toEqual([
+      { path: 'safety_tolerance', message: 'safety_tolerance must be between 0 and 6' }
+    ]);
+  });
+
+  test('should collect every violation', () => {
+    const errors = validateAgainstSchema(schema, {
+      prompt: 'A fox',
+      width: 1000.5,
+      guidance: 1,
+      output_format: 'gif',
+      aspect_ratio: 'wide',
+      tags: ['ok', 3],
+      extra: true
+    });
+
+    expect(errors.map(error => error.message)).toEqual([
+      'width must be an integer',
+      'guidance must be at least 1.5',
+      'output_format must be one of: jpeg, png',
+      'aspect_ratio must match the pattern ^\\d+:\\d+$',
+      'tags[1] must be a string',
+      'extra is not a supported parameter'
+    ]);
+  });
+
+  test('should check the number of array items', () => {
+    const listSchema = { type: 'object', properties: { paths: { type: 'array', minItems: 1, maxItems: 2, items: { type: 'string' } } } };
+
+    expect(validateAgainstSchema(listSchema, { paths: ['a.png', 'b.png'] })).toEqual([]);
+    expect(validateAgainstSchema(listSchema, { paths: [] })).toEqual([
+      { path: 'paths', message: 'paths must not be empty' }
+    ]);
+    expect(validateAgainstSchema(listSchema, { paths: ['a.png', 'b.png', 'c.png'] })).toEqual([
+      { path: 'paths', message: 'paths must have at most 2 items' }
+    ]);
+  });
+
+  test('should reject non-object arguments', () => {
+    expect(validateAgainstSchema(schema, 'prompt')).toEqual([{ path: '', message: 'arguments must be an object' }]);
+  });
+});
@@ -0,0 +1,106 @@
+// SPDX-License-Identifier: MIT
+/**
+ * 🧪 TDD Tests for Stdio Transport
+ *
+ * Tests for newline-delimited JSON-RPC framing over stdio streams
+ */
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { PassThrough } from 'stream';
+
+import { StdioTransport } from '../src/StdioTransport.js';
+
+describe('📡 StdioTransport', () => {
+  let input;
+  let output;
+  let handler;
+  let transport;
+  let written;
+
+  beforeEach(() => {
+    input = new PassThrough();
+    output = new PassThrough();
+    written = [];
+    output.on('data', chunk => written.push(chunk.toString()));
+
+    handler = {
+      handleRaw: jest.fn(async (line) => {
+        const message = JSON.parse(line);
+        return 'id' in message ? JSON.stringify({ jsonrpc: '2.0', id: message.id, result: {} }) : null;
+      })
+    };
+
+    transport = new StdioTransport({ handler, input, output });
+    transport.start();
+  });
+
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  test('should require a protocol handler', () => {
+    expect(() => new StdioTransport()).toThrow('Protocol handler is required');
+  });
+
+  test('should answer each newline-delimited message on its own line', async () => {
+    input.write('{"jsonrpc":"2.0","id":1,"method":"ping"}\n{"jsonrpc":"2.0","id":2,"method":"ping"}\n');
+    await flush();
+
+    expect(written.join('')).toBe(
+      '{"jsonrpc":"2.0","id":1,"result":{}}\n{"jsonrpc":"2.0","id":2,"result":{}}\n'
+    );
+  });
+
+  test('should reassemble messages split across chunks', async () => {
+    input.write('{"jsonrpc":"2.0",');
+    input.write('"id":7,"method":"ping"}\r\n');
+    await flush();
+
+    expect(handler.handleRaw).toHaveBeenCalledWith('{"jsonrpc":"2.0","id":7,"method":"ping"}', expect.any(Object));
+    expect(written.join('')).toContain('"id":7');
+  });
+
+  test('should stay silent for notifications and blank lines', async () => {
+    input.write('\n{"jsonrpc":"2.0","method":"notifications/initialized"}\n');
+    await flush();
+
+    expect(handler.handleRaw).toHaveBeenCalledTimes(1);
+    expect(written).toEqual([]);
+  });
+
+  test('should write notifications from in-flight requests', async () => {
+    handler.handleRaw.mockImplementationOnce(async (line, { sendNotification }) => {
+      sendNotification({ jsonrpc: '2.0', method: 'notifications/progress', params: { progressToken: 't', progress: 10 } });
+      return '{"jsonrpc":"2.0","id":3,"result":{}}';
+    });
+
+    input.write('{"jsonrpc":"2.0","id":3,"method":"tools/call"}\n');
+    await flush();
+
+    expect(written.join('').split('\n')).toEqual([
+      '{"jsonrpc":"2.0","method":"notifications/progress","params":{"progressToken":"t","progress":10}}',
+      '{"jsonrpc":"2.0","id":3,"result":{}}',
+      ''
+    ]);
+  });
+
+  test('should finish in-flight requests before closing', async () => {
+    let release;
+    handler.handleRaw.mockImplementationOnce(() => new Promise(resolve => {
+      release = () => resolve('{"jsonrpc":"2.0","id":9,"result":{}}');
+    }));
+    const onClose = jest.fn();
+    transport.on('close', onClose);
+
+    input.write('{"jsonrpc":"2.0","id":9,"method":"tools/call"}\n');
+    await flush();
+    input.end();
+    await flush();
+    expect(onClose).not.toHaveBeenCalled();
+
+    release();
+    await flush();
+    await flush();
+
+    expect(onClose).toHaveBeenCalled();
+    expect(written.join('')).toContain('"id":9');
+  });
+});
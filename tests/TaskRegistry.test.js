@@ -0,0 +1,63 @@
+// SPDX-License-Identifier: MIT
+/**
+ * 🧪 TDD Tests for Task Registry
+ *
+ * Tests for the in-memory record of submitted generations
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+
+import { TaskRegistry } from '../src/TaskRegistry.js';
+
+describe('🗂️ TaskRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new TaskRegistry({ maxEntries: 2 });
+  });
+
+  test('should register tasks with defaults', () => {
+    const record = registry.register({ taskId: 'task-1', toolName: 'flux_dev_generate', args: { prompt: 'Test' } });
+
+    expect(record).toMatchObject({
+      taskId: 'task-1',
+      toolName: 'flux_dev_generate',
+      status: 'Submitted',
+      saveResult: null
+    });
+    expect(registry.get('task-1')).toBe(record);
+    expect(registry.has('task-1')).toBe(true);
+  });
+
+  test('should require a task ID', () => {
+    expect(() => registry.register({})).toThrow('Task ID is required');
+  });
+
+  test('should update tasks in place', () => {
+    const record = registry.register({ taskId: 'task-1' });
+
+    registry.update('task-1', { status: 'Pending', progress: 30 });
+
+    expect(record.status).toBe('Pending');
+    expect(record.progress).toBe(30);
+    expect(() => registry.update('missing', {})).toThrow('Unknown task: missing');
+  });
+
+  test('should build records without storing them and add them as they are', () => {
+    const record = TaskRegistry.createRecord({ taskId: 'task-1' });
+
+    expect(record).toMatchObject({ taskId: 'task-1', status: 'Submitted', saveResult: null });
+    expect(registry.has('task-1')).toBe(false);
+    expect(registry.add(record)).toBe(record);
+    expect(registry.get('task-1')).toBe(record);
+  });
+
+  test('should evict the oldest tasks beyond the limit', () => {
+    registry.register({ taskId: 'task-1' });
+    registry.register({ taskId: 'task-2' });
+    registry.register({ taskId: 'task-3' });
+
+    expect(registry.get('task-1')).toBeNull();
+    expect(registry.list().map(task => task.taskId)).toEqual(['task-2', 'task-3']);
+  });
+});